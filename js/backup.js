@@ -0,0 +1,201 @@
+/**
+ * BACKUP.JS — Sauvegarde et restauration complètes au format JSON
+ *
+ * Le fichier exporté contient :
+ *  - les données du dernier import (chansons, membres, progressions,
+ *    tessitures, groupes vocaux, tâches…)
+ *  - les données locales de l'app (toutes les clés localStorage "lwc_*" et
+ *    les magasins déclarés par registerSongRefs : correspondances de colonnes,
+ *    setlists, historique…), hors caches
+ *
+ *   { schema: 'lwc-backup', version: 1, exportedAt, data, local }
+ *
+ * À la restauration, le fichier est validé puis migré vers la version
+ * courante (migrateBackup) avant d'être chargé comme n'importe quelle source.
+ */
+
+import { loadFromCache }         from './state.js';
+import { assignSongIds }         from './song-ids.js';
+import { readStore, writeStore, songRefStoreKeys } from './storage.js';
+import { SHEETS_CACHE_KEY }      from './sheets-loader.js';
+import { showToast }             from './utils.js';
+
+export const BACKUP_SCHEMA  = 'lwc-backup';
+export const BACKUP_VERSION = 1;
+
+const DATA_KEY     = 'lwc_data';
+const LOCAL_PREFIX = 'lwc_';
+
+// Clés "lwc_*" qui ne font pas partie d'une sauvegarde
+const EXCLUDED_KEYS = [DATA_KEY, SHEETS_CACHE_KEY];
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// EXPORT
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Construit l'objet de sauvegarde à partir du cache localStorage.
+ * @returns {Object|null} sauvegarde, ou null si aucune donnée n'est chargée
+ */
+export function createBackup() {
+  const data = loadFromCache();
+  if (!data) return null;
+
+  const local = {};
+  localStoreKeys().forEach(key => {
+    const value = readStore(key, null);
+    if (value != null) local[key] = value;
+  });
+
+  return {
+    schema:     BACKUP_SCHEMA,
+    version:    BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    data,
+    local,
+  };
+}
+
+/**
+ * Télécharge la sauvegarde ("lwc-sauvegarde-AAAA-MM-JJ.json").
+ */
+export function downloadBackup() {
+  const backup = createBackup();
+  if (!backup) {
+    showToast('Aucune donnée à sauvegarder', 'error');
+    return;
+  }
+
+  const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+  const url  = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href     = url;
+  link.download = `lwc-sauvegarde-${backup.exportedAt.slice(0, 10)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+  showToast(`Sauvegarde exportée (${backup.data.songs?.length || 0} chansons) ✓`, 'success');
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// RESTAURATION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Lit un fichier de sauvegarde, le valide et le migre.
+ *
+ * @param {File} file
+ * @returns {Promise<Object>} sauvegarde au format courant
+ * @throws {Error} si le fichier n'est pas une sauvegarde valide
+ */
+export async function readBackupFile(file) {
+  let parsed;
+  try {
+    parsed = JSON.parse(await file.text());
+  } catch (e) {
+    throw new Error('Fichier illisible : ce n\'est pas un fichier JSON valide.');
+  }
+
+  const backup = migrateBackup(parsed);
+  validateBackup(backup);
+  return backup;
+}
+
+/**
+ * Remplace les données locales par celles de la sauvegarde et retourne
+ * les données à passer à launchApp().
+ *
+ * Le cache "lwc_data" est écrit avant le lancement : setData() ne voit
+ * donc aucun changement d'identifiants et ne ré-attache rien.
+ *
+ * @param {Object} backup - Sauvegarde validée (readBackupFile)
+ * @returns {Object} données importées
+ */
+export function restoreBackup(backup) {
+  localStoreKeys().forEach(key => localStorage.removeItem(key));
+  Object.entries(backup.local).forEach(([key, value]) => writeStore(key, value));
+  writeStore(DATA_KEY, backup.data);
+
+  return backup.data;
+}
+
+/**
+ * Convertit une sauvegarde d'une version antérieure au format courant.
+ *
+ *  - version 0 : contenu brut de "lwc_data" (avant l'introduction des
+ *    sauvegardes), avec les anciens identifiants positionnels ("Entrée_12")
+ *
+ * @param {Object} backup
+ * @returns {Object}
+ */
+export function migrateBackup(backup) {
+  if (!backup || typeof backup !== 'object') {
+    throw new Error('Sauvegarde vide ou invalide.');
+  }
+
+  let current = backup;
+
+  // v0 → v1
+  if (!current.schema && Array.isArray(current.songs)) {
+    const data = { ...current, songs: current.songs.map(s => ({ ...s })) };
+    assignSongIds(data.songs);
+    current = { schema: BACKUP_SCHEMA, version: 1, exportedAt: null, data, local: {} };
+  }
+
+  return current;
+}
+
+/**
+ * Vérifie la structure d'une sauvegarde au format courant.
+ * @param {Object} backup
+ * @throws {Error} avec un message lisible par l'utilisateur
+ */
+function validateBackup(backup) {
+  if (backup.schema !== BACKUP_SCHEMA) {
+    throw new Error('Ce fichier n\'est pas une sauvegarde LWC.');
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    throw new Error('Version de sauvegarde inconnue.');
+  }
+  if (backup.version > BACKUP_VERSION) {
+    throw new Error('Cette sauvegarde provient d\'une version plus récente de l\'app. Mettez l\'app à jour.');
+  }
+
+  const data = backup.data;
+  if (!data || !Array.isArray(data.songs) || !data.songs.length) {
+    throw new Error('La sauvegarde ne contient aucune chanson.');
+  }
+
+  const invalid = data.songs.findIndex(s => !s || typeof s.id !== 'string' || typeof s.title !== 'string');
+  if (invalid >= 0) {
+    throw new Error(`Chanson n°${invalid + 1} invalide dans la sauvegarde.`);
+  }
+
+  if (backup.local == null || typeof backup.local !== 'object') backup.local = {};
+  Object.keys(backup.local).forEach(key => {
+    if (!isLocalStoreKey(key)) delete backup.local[key];
+  });
+}
+
+/**
+ * Clés localStorage de l'app, hors données importées et caches. Les magasins
+ * qui référencent des chansons (registerSongRefs) en font toujours partie,
+ * même hors du préfixe "lwc_".
+ */
+function localStoreKeys() {
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (isLocalStoreKey(key)) keys.push(key);
+  }
+  return keys;
+}
+
+function isLocalStoreKey(key) {
+  if (EXCLUDED_KEYS.includes(key)) return false;
+  return key.startsWith(LOCAL_PREFIX) || songRefStoreKeys().includes(key);
+}
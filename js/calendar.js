@@ -0,0 +1,288 @@
+/**
+ * CALENDAR.JS — Calendrier des cultes et répétitions (enregistré localement)
+ *
+ * Des récurrences (culte chaque dimanche, répétition en semaine…) et des
+ * événements ponctuels. Une date d'une récurrence n'est enregistrée que si
+ * elle a été modifiée (affectations, annulation) :
+ *
+ *   { series: [{ id, type, title, weekday, time, every, start }],
+ *     events: [{ id, seriesId?, date, time, type, title,
+ *                setlistId, leads: null, band: {}, vocalGroup, cancelled? }] }
+ *
+ * Identifiant d'une date de récurrence : "<seriesId>@<AAAA-MM-JJ>".
+ *
+ * Un culte sans setlist choisie est relié à la setlist de la même date ;
+ * ses leads et musiciens sont repris de la setlist tant qu'ils ne sont pas
+ * choisis sur l'événement :
+ *  - leads : null = ceux de la setlist, [] = aucun
+ *  - band  : instrument absent (ou null) = musicien de la setlist, '' = aucun
+ */
+
+import { readStore, writeStore } from './storage.js';
+import { DEFAULT_SERIES, INSTRUMENTS } from './config.js';
+import { isoDate } from './utils.js';
+
+export const CALENDAR_KEY = 'lwc_calendar';
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// LECTURE / ÉCRITURE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Le calendrier enregistré, ou les récurrences par défaut (config.js)
+ * à partir du mois en cours.
+ * @returns {{ series: Object[], events: Object[] }}
+ */
+export function loadCalendar() {
+  const calendar = readStore(CALENDAR_KEY, null);
+  if (calendar?.series && calendar?.events) return calendar;
+
+  const start = isoDate(new Date()).slice(0, 8) + '01';
+  return {
+    series: DEFAULT_SERIES.map((series, i) => ({ id: `cs-${i + 1}`, start, ...series })),
+    events: [],
+  };
+}
+
+/**
+ * @param {{ series: Object[], events: Object[] }} calendar
+ * @returns {boolean} true si l'écriture a réussi
+ */
+export function saveCalendar(calendar) {
+  return writeStore(CALENDAR_KEY, calendar);
+}
+
+/**
+ * Ajoute une récurrence (enregistrée).
+ * @param {Object} calendar
+ * @param {{ type, title, weekday, time, every }} series
+ * @returns {boolean}
+ */
+export function addSeries(calendar, series) {
+  calendar.series.push({ id: `cs-${Date.now().toString(36)}`, start: isoDate(new Date()), ...series });
+  return saveCalendar(calendar);
+}
+
+/**
+ * Supprime une récurrence et les dates modifiées qui en dépendent.
+ * @param {Object} calendar
+ * @param {string} seriesId
+ */
+export function deleteSeries(calendar, seriesId) {
+  calendar.series = calendar.series.filter(s => s.id !== seriesId);
+  calendar.events = calendar.events.filter(e => e.seriesId !== seriesId);
+  saveCalendar(calendar);
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ÉVÉNEMENTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Événement ponctuel (non enregistré).
+ * @param {string} date
+ * @param {string} [type]
+ * @returns {Object}
+ */
+export function createEvent(date, type = 'special') {
+  return {
+    id: `ce-${Date.now().toString(36)}`,
+    date,
+    time: '',
+    type,
+    title: '',
+    setlistId: '',
+    leads: null,
+    band: {},
+    vocalGroup: '',
+  };
+}
+
+/**
+ * Événements entre deux dates incluses, dans l'ordre chronologique.
+ * Les dates annulées sont omises, sauf demande contraire.
+ *
+ * @param {Object} calendar
+ * @param {string} from - 'AAAA-MM-JJ'
+ * @param {string} to
+ * @param {boolean} [withCancelled]
+ * @returns {Object[]}
+ */
+export function eventsBetween(calendar, from, to, withCancelled = false) {
+  const stored = new Map(calendar.events.map(e => [e.id, e]));
+  const events = [];
+
+  calendar.series.forEach(series => {
+    seriesDates(series, from, to).forEach(date => {
+      const id = `${series.id}@${date}`;
+      events.push({ ...occurrence(series, date), ...stored.get(id) });
+    });
+  });
+  calendar.events
+    .filter(e => !e.seriesId && e.date >= from && e.date <= to)
+    .forEach(e => events.push({ ...e }));
+
+  return events
+    .filter(e => withCancelled || !e.cancelled)
+    .sort((a, b) => a.date.localeCompare(b.date) || (a.time || '').localeCompare(b.time || ''));
+}
+
+/**
+ * Retrouve un événement par son identifiant.
+ * @param {Object} calendar
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function findEvent(calendar, id) {
+  const [seriesId, date] = id.split('@');
+  const series = date && calendar.series.find(s => s.id === seriesId);
+  const stored = calendar.events.find(e => e.id === id);
+  if (series) return { ...occurrence(series, date), ...stored };
+  return stored ? { ...stored } : null;
+}
+
+/**
+ * Enregistre un événement (ou la date modifiée d'une récurrence).
+ * @param {Object} calendar
+ * @param {Object} event
+ * @returns {boolean}
+ */
+export function saveEvent(calendar, event) {
+  calendar.events = [...calendar.events.filter(e => e.id !== event.id), event];
+  return saveCalendar(calendar);
+}
+
+/**
+ * Supprime un événement ponctuel, ou annule une date d'une récurrence.
+ * @param {Object} calendar
+ * @param {Object} event
+ */
+export function deleteEvent(calendar, event) {
+  calendar.events = calendar.events.filter(e => e.id !== event.id);
+  if (event.seriesId) calendar.events.push({ ...event, cancelled: true });
+  saveCalendar(calendar);
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// AFFECTATIONS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Affectations effectives d'un événement : les siennes, complétées par
+ * celles de sa setlist là où il n'en fixe pas (voir en-tête).
+ *
+ * @param {Object}   event
+ * @param {Object[]} setlists - loadSetlists()
+ * @returns {{ setlist: Object|null, linkedByDate: boolean, leads: string[],
+ *             band: Object, vocalGroup: string }}
+ */
+export function eventAssignments(event, setlists) {
+  const chosen = event.setlistId ? setlists.find(s => s.id === event.setlistId) : null;
+  const byDate = !event.setlistId && event.type === 'service'
+    ? setlists.find(s => s.date === event.date) || null
+    : null;
+  const setlist = chosen || byDate;
+
+  const setlistLeads = [...new Set((setlist?.items || []).map(i => i.lead).filter(Boolean))];
+  const band = { ...setlist?.band };
+  Object.entries(event.band || {}).forEach(([instrument, musician]) => {
+    if (musician != null) band[instrument] = musician;
+  });
+
+  return {
+    setlist,
+    linkedByDate: !!byDate,
+    leads: Array.isArray(event.leads) ? event.leads : setlistLeads,
+    band,
+    vocalGroup: event.vocalGroup || '',
+  };
+}
+
+/**
+ * Ce qui reste à pourvoir pour un événement.
+ * Un culte ou un événement attend une setlist et au moins un lead ; tous
+ * attendent un musicien par instrument et, s'il en existe, un groupe vocal.
+ *
+ * @param {Object} event
+ * @param {Object} assigned     - Voir eventAssignments()
+ * @param {string[]} instruments - Instruments des musiciens connus
+ * @param {boolean} hasGroups    - Des groupes vocaux existent
+ * @returns {string[]} libellés ("Setlist", "Lead", "Piano", "Groupe vocal")
+ */
+export function missingAssignments(event, assigned, instruments, hasGroups) {
+  const missing = [];
+  if (event.type !== 'rehearsal') {
+    if (!assigned.setlist)      missing.push('Setlist');
+    if (!assigned.leads.length) missing.push('Lead');
+  }
+  instruments
+    .filter(instrument => !assigned.band[instrument])
+    .forEach(instrument => missing.push(INSTRUMENTS[instrument]?.label || instrument || 'Musicien'));
+  if (hasGroups && !assigned.vocalGroup) missing.push('Groupe vocal');
+  return missing;
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DATES
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Ajoute des jours à une date ISO.
+ * @param {string} date
+ * @param {number} days
+ * @returns {string}
+ */
+export function addDays(date, days) {
+  const d = parseDate(date);
+  d.setDate(d.getDate() + days);
+  return isoDate(d);
+}
+
+/** Date d'une récurrence, avant toute modification */
+function occurrence(series, date) {
+  return {
+    id: `${series.id}@${date}`,
+    seriesId: series.id,
+    date,
+    time: series.time || '',
+    type: series.type,
+    title: series.title,
+    setlistId: '',
+    leads: null,
+    band: {},
+    vocalGroup: '',
+  };
+}
+
+/** Dates d'une récurrence entre deux dates incluses */
+function seriesDates(series, from, to) {
+  // Première date de la récurrence : le bon jour de la semaine, à partir de start
+  const first = parseDate(series.start);
+  first.setDate(first.getDate() + (series.weekday - first.getDay() + 7) % 7);
+
+  const step  = 7 * Math.max(1, series.every || 1);
+  const start = parseDate(from < series.start ? series.start : from);
+  const skip  = Math.max(0, Math.ceil(daysBetween(first, start) / step));
+
+  const dates = [];
+  for (let d = new Date(first.getFullYear(), first.getMonth(), first.getDate() + skip * step);
+       isoDate(d) <= to;
+       d.setDate(d.getDate() + step)) {
+    dates.push(isoDate(d));
+  }
+  return dates;
+}
+
+function parseDate(date) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+function daysBetween(a, b) {
+  return Math.round((Date.UTC(b.getFullYear(), b.getMonth(), b.getDate())
+    - Date.UTC(a.getFullYear(), a.getMonth(), a.getDate())) / 86_400_000);
+}
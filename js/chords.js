@@ -0,0 +1,432 @@
+/**
+ * CHORDS.JS — Modèle structuré des progressions d'accords
+ *
+ * Le texte d'une progression (feuille "Progression Blank") est découpé en :
+ *  - sections : une par étiquette "Intro:", "Verse 2:", "Refrain:"…
+ *  - mesures  : séparées par "|" (ou par "/" en notation chiffrée,
+ *               convention du classeur : "4-1-5-6/4-1-5")
+ *  - accords  : séparés par des espaces, virgules ou tirets
+ *
+ * Chaque accord est décomposé (fondamentale, qualité, extensions, basse).
+ * Trois notations sont reconnues : lettres (C#m7/G#), chiffres Nashville
+ * (6m, b7) et chiffres romains (IV, vi7). Un jeton non reconnu est gardé
+ * tel quel avec unparsed: true, pour être signalé plutôt que perdu.
+ *
+ *   chart = { sections: [{ label, type, number, bars: [{ chords, repeat }] }],
+ *             notation: 'letter'|'nashville'|'roman'|'mixed'|null,
+ *             unparsed: ['LH', …] }
+ *
+ * transposeChart() réécrit une grille dans une autre tonalité (keys.js) ;
+ * renumberChart() la réécrit en chiffres Nashville ou romains.
+ */
+
+import { degreeNote, transposeNote, noteDegree } from './keys.js';
+
+// Étiquettes de section reconnues (minuscules, sans accents) → type
+const SECTION_TYPES = {
+  'intro':        'intro',
+  'verse':        'verse',
+  'couplet':      'verse',
+  'pre-chorus':   'pre-chorus',
+  'prechorus':    'pre-chorus',
+  'pre-refrain':  'pre-chorus',
+  'chorus':       'chorus',
+  'refrain':      'chorus',
+  'bridge':       'bridge',
+  'pont':         'bridge',
+  'interlude':    'interlude',
+  'instrumental': 'interlude',
+  'tag':          'tag',
+  'vamp':         'vamp',
+  'outro':        'outro',
+  'ending':       'outro',
+  'fin':          'outro',
+};
+
+const LETTER_RE    = /^([A-G])([#♯b♭]?)(.*)$/;
+const NASHVILLE_RE = /^([#♯b♭]?)([1-7])(.*)$/;
+const ROMAN_RE     = /^([#♯b♭]?)(VII|VI|IV|V|III|II|I|vii|vi|iv|v|iii|ii|i)(.*)$/;
+const REPEAT_RE    = /^\(?[x×](\d+)\)?$|^\(?(\d+)[x×]\)?$/i;
+
+const ROMAN_NUMERALS = ['i', 'ii', 'iii', 'iv', 'v', 'vi', 'vii'];
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PROGRESSION COMPLÈTE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Découpe le texte d'une progression en sections, mesures et accords.
+ *
+ * @param {string} text - Texte brut (lignes séparées par "\n")
+ * @returns {Object} chart (voir en-tête du fichier)
+ */
+export function parseChart(text) {
+  const sections = [];
+  let current = null;
+
+  String(text || '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    const labelled = splitLabel(line);
+    if (labelled) {
+      current = { ...labelled.section, bars: [] };
+      sections.push(current);
+      if (!labelled.rest) return;
+    }
+    if (!current) {
+      current = { label: null, type: null, number: null, bars: [] };
+      sections.push(current);
+    }
+    current.bars.push(...parseBars(labelled ? labelled.rest : line));
+  });
+
+  const chords = sections.flatMap(s => s.bars.flatMap(b => b.chords));
+  return {
+    sections,
+    notation: chartNotation(chords),
+    unparsed: chords.filter(c => c.unparsed).map(c => c.text),
+  };
+}
+
+/**
+ * Sépare l'étiquette de section éventuelle du reste de la ligne.
+ * "Verse 2: 1-5-6-4" → { section: { label: 'Verse 2', type: 'verse', number: 2 }, rest: '1-5-6-4' }
+ * Une étiquette inconnue suivie de ":" ("RH:") ouvre une section de type 'other'.
+ *
+ * @param {string} line
+ * @returns {{ section: Object, rest: string }|null}
+ */
+function splitLabel(line) {
+  // "Étiquette [n°]:" — toute étiquette suivie de ":" ouvre une section
+  let m = line.match(/^([A-Za-zÀ-ÿ][A-Za-zÀ-ÿ '’-]*?)\s*(\d+)?\s*:(.*)$/);
+  if (m) return labelResult(m[1], m[2], m[3], true);
+
+  // Sans ":", seules les étiquettes connues (un ou deux mots) sont reconnues
+  m = line.match(/^([A-Za-zÀ-ÿ]+)(?:([ -])([A-Za-zÀ-ÿ]+))?\b\s*(\d+)?\s*(.*)$/);
+  if (!m) return null;
+  if (m[3]) {
+    const twoWords = labelResult(`${m[1]}${m[2]}${m[3]}`, m[4], m[5], false);
+    if (twoWords) return twoWords;
+  }
+  const rest = line.slice(m[1].length).match(/^\s*(\d+)?(?:\s+|$)(.*)$/);
+  return rest ? labelResult(m[1], rest[1], rest[2], false) : null;
+}
+
+function labelResult(rawName, number, rest, withColon) {
+  const name = rawName.trim();
+  const key  = name.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, '-');
+  const type = SECTION_TYPES[key] || (withColon ? 'other' : null);
+  if (!type) return null;
+
+  return {
+    section: { label: number ? `${name} ${number}` : name, type, number: number ? Number(number) : null },
+    rest:    rest.trim(),
+  };
+}
+
+/**
+ * Découpe une ligne en mesures.
+ * "|" sépare toujours les mesures ; sans "|", "/" en sépare aussi, sauf
+ * lorsqu'il introduit une basse en lettre ("G/B").
+ */
+function parseBars(line) {
+  const pieces = line.includes('|')
+    ? line.split('|')
+    : line.split(/\/(?![A-G])/);
+
+  return pieces
+    .map(piece => {
+      const bar = { chords: [], repeat: 1 };
+      piece.split(/[\s,]+|-/).filter(Boolean).forEach(text => {
+        const repeat = text.match(REPEAT_RE);
+        if (repeat) bar.repeat = Number(repeat[1] || repeat[2]);
+        else        bar.chords.push(parseChord(text));
+      });
+      return bar;
+    })
+    .filter(bar => bar.chords.length);
+}
+
+function chartNotation(chords) {
+  const kinds = new Set(chords.filter(c => !c.unparsed).map(c => c.kind));
+  if (!kinds.size) return null;
+  return kinds.size === 1 ? [...kinds][0] : 'mixed';
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ACCORD
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Décompose un accord.
+ *
+ *   "C#m7/G#" → { kind: 'letter',    root: 'C#', quality: 'minor', extensions: ['7'], bass: 'G#' }
+ *   "6m"      → { kind: 'nashville', root: '6',  degree: 6, accidental: '', quality: 'minor', … }
+ *   "IVmaj7"  → { kind: 'roman',     root: 'IV', degree: 4, quality: 'major', extensions: ['maj7'] }
+ *
+ * @param {string} text
+ * @returns {Object} accord, ou { text, unparsed: true }
+ */
+export function parseChord(text) {
+  const token = String(text).trim();
+  const slash = token.lastIndexOf('/');
+  const head  = slash > 0 ? token.slice(0, slash) : token;
+  const bass  = slash > 0 ? token.slice(slash + 1) : null;
+
+  const chord = parseHead(head);
+  if (!chord) return { text: token, unparsed: true };
+
+  if (bass != null) {
+    const bassChord = parseHead(bass);
+    if (!bassChord || bassChord.kind !== chord.kind || bassChord.suffix) return { text: token, unparsed: true };
+    chord.bass = bassChord.root;
+  }
+
+  const suffix = parseSuffix(chord.suffix, chord.quality);
+  if (!suffix) return { text: token, unparsed: true };
+
+  delete chord.suffix;
+  return { text: token, ...chord, ...suffix, bass: chord.bass || null };
+}
+
+/** Fondamentale d'un accord (sans la basse) et reste du texte à interpréter. */
+function parseHead(text) {
+  let m = text.match(LETTER_RE);
+  if (m) {
+    return { kind: 'letter', root: m[1] + normAccidental(m[2]), accidental: normAccidental(m[2]), suffix: m[3] };
+  }
+
+  m = text.match(NASHVILLE_RE);
+  if (m) {
+    return { kind: 'nashville', root: normAccidental(m[1]) + m[2], degree: Number(m[2]),
+             accidental: normAccidental(m[1]), suffix: m[3] };
+  }
+
+  m = text.match(ROMAN_RE);
+  if (m) {
+    const numeral = m[2];
+    return { kind: 'roman', root: normAccidental(m[1]) + numeral, degree: romanDegree(numeral),
+             accidental: normAccidental(m[1]), suffix: m[3],
+             quality: numeral === numeral.toLowerCase() ? 'minor' : 'major' };
+  }
+
+  return null;
+}
+
+/**
+ * Interprète la qualité et les extensions : "m7", "maj7", "sus4", "dim", "7(b9)"…
+ * @param {string} suffix
+ * @param {string} [impliedQuality] - Qualité portée par la casse d'un chiffre romain
+ * @returns {{ quality: string, extensions: string[] }|null} null si le texte est illisible
+ */
+function parseSuffix(suffix, impliedQuality) {
+  let rest    = suffix;
+  let quality = impliedQuality || 'major';
+
+  const qualities = [
+    [/^(maj|Maj|M|Δ)(?=\d)/, null],          // maj7 : extension, pas une qualité
+    [/^(maj|Maj|M)/,         'major'],
+    [/^(min|mi|m|-)(?!aj)/,  'minor'],
+    [/^(dim|°|o)/,           'diminished'],
+    [/^(ø)/,                 'half-diminished'],
+    [/^(aug|\+)/,            'augmented'],
+  ];
+  for (const [re, q] of qualities) {
+    const m = rest.match(re);
+    if (!m) continue;
+    if (q) {
+      quality = q;
+      rest = rest.slice(m[0].length);
+    }
+    break;
+  }
+
+  const extensions = [];
+  while (rest) {
+    const m = rest.match(/^(?:(?:maj|Maj|M|Δ)\d+|add\d+|sus[24]?|[#♯b♭]?\d+|\(([^)]*)\))/);
+    if (!m) return null;
+    if (m[1] != null) {
+      const inner = parseSuffix(m[1].replace(/,\s*/g, ''), 'major');
+      if (!inner || inner.quality !== 'major') return null;
+      extensions.push(...inner.extensions);
+    } else {
+      extensions.push(normAccidental(m[0]).replace(/^(Maj|M|Δ)/, 'maj'));
+    }
+    rest = rest.slice(m[0].length);
+  }
+
+  return { quality, extensions };
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// TRANSPOSITION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Réécrit une grille en accords-lettres dans la tonalité `to`.
+ *  - chiffres (Nashville, romains) : réalisés dans `to` ("4" en Bb → "Eb")
+ *  - lettres : transposées de `from` vers `to` (from requis)
+ * Les notes sont écrites selon l'armure de `to` (dièses ou bémols).
+ *
+ * @param {Object} chart - Résultat de parseChart()
+ * @param {Object|null} from - Tonalité d'origine (keys.js), null si inconnue
+ * @param {Object} to        - Tonalité cible
+ * @returns {Object} nouvelle grille ; les accords-lettres restent inchangés si from est null
+ */
+export function transposeChart(chart, from, to) {
+  return {
+    ...chart,
+    sections: chart.sections.map(section => ({
+      ...section,
+      bars: section.bars.map(bar => ({
+        ...bar,
+        chords: bar.chords.map(chord => transposeChord(chord, from, to)),
+      })),
+    })),
+  };
+}
+
+/**
+ * Transpose un accord (voir transposeChart).
+ * @param {Object} chord - Résultat de parseChord()
+ * @param {Object|null} from
+ * @param {Object} to
+ * @returns {Object}
+ */
+export function transposeChord(chord, from, to) {
+  if (chord.unparsed) return chord;
+
+  const noteOf = name => {
+    if (chord.kind === 'letter') return from ? transposeNote(name, from, to) : name;
+    const { degree, accidental } = numberDegree(name, chord.kind);
+    return degreeNote(degree, accidental, to);
+  };
+
+  const root = noteOf(chord.root);
+  const bass = chord.bass ? noteOf(chord.bass) : null;
+  if (!root || (chord.bass && !bass)) return chord;
+
+  const result = { ...chord, kind: 'letter', root, accidental: root.slice(1), bass };
+  delete result.degree;
+  return { ...result, text: formatChord(result) };
+}
+
+
+/**
+ * Réécrit une grille en chiffres, indépendamment de la tonalité :
+ *  - 'nashville' : 1 4 5 6m, b7, 5/7
+ *  - 'roman'     : I IV V vi, bVII, V/VII (minuscules = mineur)
+ * Les accords en lettres sont lus par rapport à `key` (tonalité originale).
+ *
+ * @param {Object} chart - Résultat de parseChart()
+ * @param {Object|null} key - Tonalité de référence des accords en lettres
+ * @param {'nashville'|'roman'} notation
+ * @returns {Object} nouvelle grille ; les accords en lettres restent inchangés si key est null
+ */
+export function renumberChart(chart, key, notation) {
+  return {
+    ...chart,
+    sections: chart.sections.map(section => ({
+      ...section,
+      bars: section.bars.map(bar => ({
+        ...bar,
+        chords: bar.chords.map(chord => renumberChord(chord, key, notation)),
+      })),
+    })),
+  };
+}
+
+function renumberChord(chord, key, notation) {
+  if (chord.unparsed || (chord.kind === 'letter' && !key)) return chord;
+
+  // Degré (et altération) d'une fondamentale ou d'une basse
+  const degreeOf = name => {
+    return chord.kind === 'letter' ? noteDegree(name, key) : numberDegree(name, chord.kind);
+  };
+  const nameOf = ({ degree, accidental }, lower) => {
+    const prefix = accidental > 0 ? '#' : accidental < 0 ? 'b' : '';
+    if (notation === 'nashville') return prefix + degree;
+    const numeral = ROMAN_NUMERALS[degree - 1];
+    return prefix + (lower ? numeral : numeral.toUpperCase());
+  };
+
+  const root = degreeOf(chord.root);
+  const bass = chord.bass ? degreeOf(chord.bass) : null;
+  if (!root || (chord.bass && !bass)) return chord;
+
+  const lower  = ['minor', 'diminished', 'half-diminished'].includes(chord.quality);
+  const result = {
+    ...chord,
+    kind:       notation,
+    root:       nameOf(root, lower),
+    degree:     root.degree,
+    accidental: root.accidental > 0 ? '#' : root.accidental < 0 ? 'b' : '',
+    bass:       bass ? nameOf(bass, false) : null,
+  };
+  return { ...result, text: formatChord(result) };
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// AFFICHAGE
+// ─────────────────────────────────────────────────────────────────────────────
+
+const QUALITY_SYMBOLS = {
+  major:             '',
+  minor:             'm',
+  diminished:        'dim',
+  'half-diminished': 'ø',
+  augmented:         'aug',
+};
+
+// En chiffres romains, la casse porte déjà majeur / mineur
+const ROMAN_QUALITY_SYMBOLS     = { ...QUALITY_SYMBOLS, minor: '', diminished: '°', augmented: '+' };
+const NASHVILLE_QUALITY_SYMBOLS = { ...QUALITY_SYMBOLS, diminished: '°' };
+
+/**
+ * Réécrit un accord sous une forme normalisée ("C#m7/G#", "6m", "IVmaj7").
+ * Un accord non reconnu est rendu tel qu'il a été saisi.
+ *
+ * @param {Object} chord - Résultat de parseChord()
+ * @returns {string}
+ */
+export function formatChord(chord) {
+  if (chord.unparsed) return chord.text;
+
+  const symbols = chord.kind === 'roman' ? ROMAN_QUALITY_SYMBOLS
+    : chord.kind === 'nashville' ? NASHVILLE_QUALITY_SYMBOLS
+    : QUALITY_SYMBOLS;
+  const symbol = symbols[chord.quality];
+
+  // "5" suivi de "7" se lirait 57 : en Nashville, l'extension va entre parenthèses
+  let extensions = chord.extensions.join('');
+  if (chord.kind === 'nashville' && !symbol && /^[#b]?\d/.test(extensions)) extensions = `(${extensions})`;
+
+  return chord.root + symbol + extensions + (chord.bass ? `/${chord.bass}` : '');
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────────────────────────────────────
+
+function normAccidental(text) {
+  return text.replace('♯', '#').replace('♭', 'b');
+}
+
+/** "b7" / "bVII" → { degree: 7, accidental: -1 } */
+function numberDegree(name, kind) {
+  const [, accidental, numeral] = name.match(/^([#b]?)(.+)$/);
+  return {
+    degree:     kind === 'roman' ? romanDegree(numeral) : Number(numeral),
+    accidental: accidental === '#' ? 1 : accidental === 'b' ? -1 : 0,
+  };
+}
+
+function romanDegree(numeral) {
+  return ROMAN_NUMERALS.indexOf(numeral.toLowerCase()) + 1;
+}
@@ -2,33 +2,42 @@
  * CONFIG.JS — Constantes globales de l'application
  *
  * Ce fichier centralise toutes les valeurs qui pourraient changer :
- *  - Liste des membres chanteurs
+ *  - Surcharges d'affichage des noms de membres
+ *  - Modèle des instruments
  *  - Correspondance section → couleur CSS
  *  - Couleurs d'avatars
  *  - Paramètres de pagination
+ *  - Adresse de découverte des onglets Google Sheets
+ *  - Règles par défaut des setlists proposées
+ *  - Types d'événements et récurrences par défaut du calendrier
  *
- * Pour ajouter un membre : l'ajouter dans le tableau SINGERS.
+ * Les chanteurs et musiciens ne sont PAS listés ici : le parser les découvre
+ * dans les en-têtes du classeur ("<Nom> Key", "<Nom> <Instrument>").
  * Pour changer les couleurs : modifier les variables dans base.css.
  */
 
-// ─── Liste des chanteurs connus ──────────────────────────────────────────────
-// Utilisé par le parser pour identifier les colonnes de tonalités dans le XLSX.
-// NOTE : les noms doivent correspondre EXACTEMENT aux en-têtes de colonnes
-//        (sans "Key" — le parser cherche le premier mot du nom dans les en-têtes).
-export const SINGERS = [
-  'Dorcas',
-  'Harmony',
-  'Jemima',
-  'Jovany',
-  'Maman Annie',
-  'Nellia',
-  'Voldie',
-  'Ya Itie',
-  'Raphael',
-  'Joel',
-  'Furah',
-  'Irene',
-];
+// ─── Surcharges des noms de membres (optionnel) ──────────────────────────────
+// Les noms viennent des en-têtes du XLSX. Ce dictionnaire permet seulement de
+// corriger un nom affiché : { 'Nom dans l'en-tête': 'Nom affiché' }.
+// Ex : { 'Vany': 'Jovany' }
+export const MEMBER_NAME_OVERRIDES = {};
+
+// ─── Instruments ─────────────────────────────────────────────────────────────
+// Un en-tête "<Nom> <Instrument>" (ex: "Raphael Piano", "Jason drum") est
+// reconnu comme colonne musicien si son dernier mot figure dans `aliases`.
+// `keyword` sert à construire la clé canonique stockée dans song.musicians
+// (ex: "Jason Drum"). Pour un nouvel instrument, ajouter une entrée ici.
+export const INSTRUMENTS = {
+  piano:      { label: 'Piano',       keyword: 'Piano',      aliases: ['piano', 'keyboard', 'keys', 'clavier'] },
+  drum:       { label: 'Batterie',    keyword: 'Drum',       aliases: ['drum', 'drums', 'batterie'] },
+  bass:       { label: 'Basse',       keyword: 'Bass',       aliases: ['bass', 'basse'] },
+  guitar:     { label: 'Guitare',     keyword: 'Guitar',     aliases: ['guitar', 'guitare'] },
+  percussion: { label: 'Percussions', keyword: 'Percussion', aliases: ['percussion', 'percussions', 'djembe'] },
+  violin:     { label: 'Violon',      keyword: 'Violin',     aliases: ['violin', 'violon'] },
+  sax:        { label: 'Saxophone',   keyword: 'Sax',        aliases: ['sax', 'saxophone'] },
+  trumpet:    { label: 'Trompette',   keyword: 'Trumpet',    aliases: ['trumpet', 'trompette'] },
+  flute:      { label: 'Flûte',       keyword: 'Flute',      aliases: ['flute', 'flûte'] },
+};
 
 // ─── Correspondance section → classe CSS ────────────────────────────────────
 // Utilisé pour les badges et couleurs d'accentuation par section du culte.
@@ -60,20 +69,16 @@ export const AVATAR_COLORS = [
 // Nombre de lignes affichées par page dans les tableaux.
 export const PER_PAGE = 25;
 
-// ─── Colonnes musiciens ──────────────────────────────────────────────────────
-// Labels des musiciens tels qu'ils apparaissent dans les en-têtes du XLSX.
-// Utilisé pour afficher les chips dans le modal de chanson.
-export const MUSICIAN_LABELS = {
-  'Nellia Piano':   'Nellia (Piano)',
-  'Raphael Piano':  'Raphael (Piano)',
-  'Francis Piano':  'Francis (Piano)',
-  'Jason Drum':     'Jason (Batterie)',
-  'Raphael Drum':   'Raphael (Batterie)',
-  'Joshua Drum':    'Joshua (Batterie)',
-  'Francis Bass':   'Francis (Basse)',
-  'Raphael Bass':   'Raphael (Basse)',
-  'Raphael Guitar': 'Raphael (Guitare)',
-};
+// ─── Découverte des onglets Google Sheets ────────────────────────────────────
+// Page HTML listant les onglets d'un classeur ("{id}" = ID du classeur).
+// Pour travailler hors ligne, pointer vers la copie locale :
+// './data/fixtures/sheets-discovery.html'
+export const SHEETS_DISCOVERY_URL = 'https://docs.google.com/spreadsheets/d/{id}/htmlview';
+
+// ─── Libellés des musiciens (optionnel) ──────────────────────────────────────
+// Par défaut, "Raphael Drum" s'affiche "Raphael (Batterie)" d'après INSTRUMENTS.
+// Ajouter une entrée ici uniquement pour forcer un autre libellé.
+export const MUSICIAN_LABELS = {};
 
 // ─── Libellés des langues ────────────────────────────────────────────────────
 export const LANGUE_LABELS = {
@@ -82,3 +87,43 @@ export const LANGUE_LABELS = {
   'LNGL': 'Lingala',
   '—':    'Non défini',
 };
+
+// ─── Setlists proposées (valeurs par défaut) ────────────────────────────────
+// Modifiables dans la vue Setlists (⚙ Règles), enregistrées dans les préférences.
+//  - perSection     : nombre de chansons par section
+//  - recentServices : chansons des N derniers cultes exclues
+//  - restCapDays    : au-delà, une chanson n'est pas plus "reposée"
+//  - weights        : points accordés par critère (repos = au maximum)
+export const SUGGESTION_RULES = {
+  perSection:     { 'Entrée': 2, 'S-E': 1, 'Louange': 3, 'Adoration': 3 },
+  recentServices: 4,
+  restCapDays:    365,
+  weights:        { rest: 100, progression: 20, language: 25, variety: 10 },
+};
+
+// ─── Groupes vocaux ──────────────────────────────────────────────────────────
+// Pupitres de la feuille "Groupes vocal" et, pour chacun, les types de voix
+// (feuille Vocal Range) qui peuvent y remplacer un choriste absent, du plus
+// au moins indiqué.
+export const VOCAL_PARTS = {
+  'Soprano':      ['soprano', 'mezzo'],
+  'Alto 1':       ['alto 1', 'alto', 'mezzo'],
+  'Alto 2/Tenor': ['alto 2', 'tenor', 'alto'],
+  'Bass':         ['bass', 'baritone'],
+};
+
+// ─── Calendrier ──────────────────────────────────────────────────────────────
+// Types d'événements, et récurrences créées à la première ouverture du
+// calendrier (modifiables ensuite dans la vue Calendrier, ⚙ Récurrences).
+// weekday : 0 = dimanche … 6 = samedi ; every : toutes les N semaines.
+// minutes : durée d'un événement dans les calendriers exportés (.ics).
+export const EVENT_TYPES = {
+  service:   { label: 'Culte',      icon: '⛪', minutes: 120 },
+  rehearsal: { label: 'Répétition', icon: '🎤', minutes: 120 },
+  special:   { label: 'Événement',  icon: '⭐', minutes: 180 },
+};
+
+export const DEFAULT_SERIES = [
+  { type: 'service',   title: 'Culte du dimanche', weekday: 0, time: '10:00', every: 1 },
+  { type: 'rehearsal', title: 'Répétition',        weekday: 3, time: '19:00', every: 1 },
+];
@@ -0,0 +1,114 @@
+/**
+ * HISTORY.JS — Historique des chansons chantées (enregistré localement)
+ *
+ * Marquer une setlist comme chantée ajoute une ligne par chanson :
+ *
+ *   { setlistId, date: 'AAAA-MM-JJ', songId, section, lead, key, band }
+ *
+ * Re-marquer la même setlist remplace ses lignes. "Dernière fois" et
+ * "Jours passés" sont recalculés à partir de cet historique et de la date
+ * du classeur (la plus récente des deux), à chaque chargement.
+ */
+
+import { readStore, writeStore, registerSongRefs } from './storage.js';
+import { daysSince }                               from './utils.js';
+
+export const HISTORY_KEY = 'lwc_history';
+
+registerSongRefs(HISTORY_KEY, (history, mapId) =>
+  history.map(entry => ({ ...entry, songId: mapId(entry.songId) })));
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// LECTURE / ÉCRITURE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Tout l'historique, le plus récent d'abord.
+ * @returns {Object[]}
+ */
+export function loadHistory() {
+  const history = readStore(HISTORY_KEY, []);
+  return (Array.isArray(history) ? history : []).sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * Enregistre les chansons d'une setlist comme chantées à sa date
+ * (remplace un enregistrement précédent de la même setlist).
+ *
+ * @param {Object} setlist
+ * @returns {boolean} true si l'écriture a réussi
+ */
+export function recordSetlist(setlist) {
+  const entries = setlist.items.map(item => ({
+    setlistId: setlist.id,
+    date:      setlist.date,
+    songId:    item.songId,
+    section:   item.section,
+    lead:      item.lead || '',
+    key:       item.key  || '',
+    band:      { ...setlist.band },
+  }));
+  const others = loadHistory().filter(e => e.setlistId !== setlist.id);
+  return writeStore(HISTORY_KEY, [...others, ...entries]);
+}
+
+/**
+ * Retire une setlist de l'historique.
+ * @param {string} setlistId
+ */
+export function unrecordSetlist(setlistId) {
+  writeStore(HISTORY_KEY, loadHistory().filter(e => e.setlistId !== setlistId));
+}
+
+/**
+ * La setlist a-t-elle été marquée comme chantée ?
+ * @param {string} setlistId
+ * @returns {boolean}
+ */
+export function isRecorded(setlistId) {
+  return loadHistory().some(e => e.setlistId === setlistId);
+}
+
+/**
+ * Passages d'une chanson, le plus récent d'abord.
+ * @param {Object} song - Ses anciens identifiants (aliases) comptent aussi
+ * @returns {Object[]}
+ */
+export function songHistory(song) {
+  const ids = [song.id, ...(song.aliases || [])];
+  return loadHistory().filter(e => ids.includes(e.songId));
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DERNIÈRE FOIS / JOURS PASSÉS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Recalcule lastSang et daysPast des chansons à partir de l'historique.
+ * Les valeurs du classeur sont gardées (sheetLastSang, sheetDaysPast) :
+ * l'appel peut être répété après chaque modification de l'historique.
+ *
+ * @param {Object[]} songs - state.songs (modifiées en place)
+ */
+export function applyHistory(songs) {
+  const lastDates = {};
+  loadHistory().forEach(e => {
+    if (!lastDates[e.songId] || e.date > lastDates[e.songId]) lastDates[e.songId] = e.date;
+  });
+
+  songs.forEach(song => {
+    if (!('sheetLastSang' in song)) {
+      song.sheetLastSang = song.lastSang ?? null;
+      song.sheetDaysPast = song.daysPast ?? null;
+    }
+
+    const dates = [song.sheetLastSang, ...[song.id, ...(song.aliases || [])].map(id => lastDates[id])]
+      .filter(Boolean)
+      .sort();
+    song.lastSang = dates.pop() || null;
+    // Sans date, "Jours passés" du classeur est tout ce qu'on connaît
+    song.daysPast = song.lastSang ? daysSince(song.lastSang) : song.sheetDaysPast;
+  });
+}
@@ -0,0 +1,303 @@
+/**
+ * ICS.JS — Export du calendrier au format iCalendar (.ics)
+ *
+ * Un fichier pour toute la chorale, ou un par membre : ses cultes et
+ * événements (ce qu'il chante ou joue), et les répétitions qui les préparent.
+ * Généré localement à partir du calendrier (calendar.js).
+ *
+ * L'UID d'un événement est dérivé de son identifiant dans le calendrier
+ * ("cs-1@2026-10-25") : ré-importer le fichier met à jour les événements au
+ * lieu de les dupliquer, et une date annulée est exportée comme annulée.
+ * Le fichier d'un membre ne contient que les événements où il sert. Les
+ * événements de ses exports précédents (enregistrés localement, par membre)
+ * où il ne sert plus y sont ajoutés annulés : retiré d'un planning, il le
+ * voit disparaître de son agenda au ré-import.
+ * Les heures sont "flottantes" (heure locale du téléphone).
+ */
+
+import { EVENT_TYPES, INSTRUMENTS } from './config.js';
+import { SERVICE_SECTIONS } from './setlists.js';
+import { eventAssignments, addDays } from './calendar.js';
+import { musicianInfo, musicianLabel } from './instruments.js';
+import { displayKey }    from './prefs.js';
+import { readStore, writeStore } from './storage.js';
+import { arePersonNamesEquivalent, normalizePersonName, isoDate, showToast } from './utils.js';
+
+export const ICS_EXPORTS_KEY = 'lwc_ics_exports';
+
+const PRODID     = '-//LWC//Repertoire//FR';
+const UID_DOMAIN = 'lwc-repertoire';
+
+// Une répétition figure dans le fichier d'un membre s'il sert dans les N jours qui suivent
+const REHEARSAL_LEAD_DAYS = 7;
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONSTRUCTION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Construit un fichier .ics.
+ *
+ * @param {Object[]} events          - eventsBetween(…, true) : annulés compris
+ * @param {Object}   context
+ * @param {Object[]} context.setlists
+ * @param {Object[]} context.songs
+ * @param {Object}   context.vocalGroups
+ * @param {string}   [context.member]   - Nom d'un membre : uniquement ses événements
+ * @param {string[]} [context.exported] - Événements de ses exports précédents
+ *                                        (voir previousExport) : ceux où il ne
+ *                                        sert plus sont exportés annulés
+ * @param {Date}     [context.now]
+ * @returns {string} contenu du fichier (lignes CRLF)
+ */
+export function buildIcs(events, { setlists, songs, vocalGroups, member = null, exported = [], now = new Date() }) {
+  const songById = new Map(songs.map(s => [s.id, s]));
+  const details  = eventDetails(events, { setlists, songById, vocalGroups, member });
+  const selected = member
+    ? details.filter(d => d.served || exported.includes(d.event.id))
+    : details;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(member ? `LWC — ${member}` : 'LWC — Chorale')}`,
+    ...selected.flatMap(d => vevent(d, songById, now, !!member && !d.served)),
+    'END:VCALENDAR',
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Ce que fait un membre lors d'un événement.
+ * Ex: ['Lead : Tenda (D), Choix De Dieu (D)', 'Piano', 'Groupe vocal Jemima (Alto 1)']
+ *
+ * @param {string} member
+ * @param {Object} assigned - Voir eventAssignments()
+ * @param {Map<string, Object>} songById
+ * @param {Object} vocalGroups
+ * @returns {string[]}
+ */
+export function memberRoles(member, assigned, songById, vocalGroups) {
+  const same  = name => arePersonNamesEquivalent(name, member);
+  const roles = [];
+
+  const led = (assigned.setlist?.items || []).filter(item => item.lead && same(item.lead));
+  if (led.length) {
+    roles.push('Lead : ' + led.map(item => songLine(item, songById, false)).join(', '));
+  } else if (assigned.leads.some(same)) {
+    roles.push('Lead');
+  }
+
+  Object.entries(assigned.band).forEach(([instrument, key]) => {
+    if (key && same(musicianInfo(key).name)) roles.push(INSTRUMENTS[instrument]?.label || 'Musicien');
+  });
+
+  const group = assigned.vocalGroup && vocalGroups[assigned.vocalGroup];
+  if (group) {
+    const part = Object.entries(group).find(([, names]) => names.some(same))?.[0];
+    if (part || same(assigned.vocalGroup)) {
+      roles.push(`Groupe vocal ${assigned.vocalGroup}${part ? ` (${part})` : ''}`);
+    }
+  }
+  return roles;
+}
+
+/**
+ * Événements où un membre sert (rôle, ou répétition qui prépare un de ses
+ * cultes) : à enregistrer après l'export, voir recordExport().
+ *
+ * @param {Object[]} events
+ * @param {Object}   context - Comme buildIcs(), member obligatoire
+ * @returns {string[]} identifiants des événements
+ */
+export function servedEventIds(events, { setlists, songs, vocalGroups, member }) {
+  const songById = new Map(songs.map(s => [s.id, s]));
+  return eventDetails(events, { setlists, songById, vocalGroups, member })
+    .filter(d => d.served)
+    .map(d => d.event.id);
+}
+
+/** Affectations et rôles du membre pour chaque événement ; served : il y sert */
+function eventDetails(events, { setlists, songById, vocalGroups, member }) {
+  const details = events.map(event => {
+    const assigned = eventAssignments(event, setlists);
+    return { event, assigned, roles: member ? memberRoles(member, assigned, songById, vocalGroups) : [] };
+  });
+  return details.map(d => ({
+    ...d,
+    served: !!member && (d.roles.length > 0 || (d.event.type === 'rehearsal' && servesSoon(d.event, details))),
+  }));
+}
+
+/** Le membre sert-il peu après cette répétition ? */
+function servesSoon(rehearsal, details) {
+  const limit = addDays(rehearsal.date, REHEARSAL_LEAD_DAYS);
+  return details.some(({ event, roles }) =>
+    event.type !== 'rehearsal' && !event.cancelled && roles.length && event.date > rehearsal.date && event.date <= limit);
+}
+
+/** withdrawn : le membre n'y sert pas (plus) — exporté annulé, sans programme */
+function vevent({ event, assigned, roles }, songById, now, withdrawn = false) {
+  const type  = EVENT_TYPES[event.type] || {};
+  const title = event.title || type.label || 'Événement';
+  const text  = withdrawn ? '' : description(assigned, roles, songById);
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${event.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${utcStamp(now)}`,
+    // Séquence croissante d'un export à l'autre : les calendriers appliquent la mise à jour
+    `SEQUENCE:${Math.floor(now.getTime() / 60_000)}`,
+    ...eventTimes(event, type.minutes || 120),
+    `SUMMARY:${escapeText(`${type.icon ? type.icon + ' ' : ''}${title}`)}`,
+    ...(text ? [`DESCRIPTION:${escapeText(text)}`] : []),
+    `STATUS:${event.cancelled || withdrawn ? 'CANCELLED' : 'CONFIRMED'}`,
+    'END:VEVENT',
+  ];
+}
+
+/** Rôle du membre, puis programme : chansons par section, musiciens, groupe vocal */
+function description(assigned, roles, songById) {
+  const lines = roles.length ? [`Vous : ${roles.join(' · ')}`, ''] : [];
+
+  const items = assigned.setlist?.items || [];
+  SERVICE_SECTIONS.forEach(section => {
+    const inSection = items.filter(item => item.section === section);
+    if (inSection.length) lines.push(`${section} : ${inSection.map(item => songLine(item, songById, true)).join(' ; ')}`);
+  });
+
+  const band = Object.values(assigned.band).filter(Boolean).map(musicianLabel);
+  if (band.length)             lines.push(`Musiciens : ${band.join(', ')}`);
+  if (assigned.vocalGroup)     lines.push(`Groupe vocal : ${assigned.vocalGroup}`);
+  if (!items.length && assigned.leads.length) lines.push(`Leads : ${assigned.leads.join(', ')}`);
+  return lines.join('\n').trim();
+}
+
+/** "Tenda (Ya Itie, D)" ; sans le lead : "Tenda (D)" */
+function songLine(item, songById, withLead) {
+  const title  = songById.get(item.songId)?.title || 'Chanson introuvable';
+  const detail = [withLead ? item.lead : '', item.key ? displayKey(item.key) : ''].filter(Boolean).join(', ');
+  return detail ? `${title} (${detail})` : title;
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// EXPORTS PRÉCÉDENTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Événements du dernier fichier exporté pour un membre.
+ * @param {string} member
+ * @returns {string[]}
+ */
+export function previousExport(member) {
+  return readStore(ICS_EXPORTS_KEY, {})[normalizePersonName(member)] || [];
+}
+
+/**
+ * Enregistre les événements exportés pour un membre (remplace le précédent export).
+ * @param {string}   member
+ * @param {string[]} ids - Voir servedEventIds()
+ * @returns {boolean} true si l'écriture a réussi
+ */
+export function recordExport(member, ids) {
+  const exports = readStore(ICS_EXPORTS_KEY, {});
+  exports[normalizePersonName(member)] = ids;
+  return writeStore(ICS_EXPORTS_KEY, exports);
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// TÉLÉCHARGEMENT
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Télécharge un fichier .ics.
+ * @param {string} content  - Voir buildIcs()
+ * @param {string} filename
+ */
+export function downloadIcs(content, filename) {
+  const blob = new Blob([content], { type: 'text/calendar;charset=utf-8' });
+  const url  = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href     = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+  showToast(`Calendrier exporté (${filename}) ✓`, 'success');
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FORMAT iCalendar
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** DTSTART / DTEND : heure flottante, ou journée entière sans heure */
+function eventTimes(event, minutes) {
+  const [y, m, d] = event.date.split('-').map(Number);
+  if (!/^\d{2}:\d{2}$/.test(event.time || '')) {
+    return [
+      `DTSTART;VALUE=DATE:${dateStamp(new Date(y, m - 1, d))}`,
+      `DTEND;VALUE=DATE:${dateStamp(new Date(y, m - 1, d + 1))}`,
+    ];
+  }
+  const [h, min] = event.time.split(':').map(Number);
+  return [
+    `DTSTART:${localStamp(new Date(y, m - 1, d, h, min))}`,
+    `DTEND:${localStamp(new Date(y, m - 1, d, h, min + minutes))}`,
+  ];
+}
+
+function dateStamp(date) {
+  return isoDate(date).replace(/-/g, '');
+}
+
+function localStamp(date) {
+  return `${dateStamp(date)}T${pad(date.getHours())}${pad(date.getMinutes())}00`;
+}
+
+function utcStamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/** Échappe un texte (RFC 5545) : \ ; , et retours à la ligne */
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/** Coupe une ligne à 75 octets, les suites commençant par une espace */
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let bytes   = 0;
+
+  for (const char of line) {
+    const size  = encoder.encode(char).length;
+    const limit = parts.length ? 74 : 75; // l'espace de continuation compte
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = '';
+      bytes   = 0;
+    }
+    current += char;
+    bytes   += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
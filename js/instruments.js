@@ -0,0 +1,127 @@
+/**
+ * INSTRUMENTS.JS — Modèle des musiciens et des chanteurs découverts
+ *
+ * Les colonnes musiciens du XLSX s'écrivent "<Nom> <Instrument>"
+ * (ex: "Raphael Piano", "Jason drum", "Maman Annie Guitare"). Ce module :
+ *  - reconnaît un instrument d'après INSTRUMENTS (config.js)
+ *  - construit la clé canonique stockée dans song.musicians ("Jason Drum")
+ *  - relit une clé pour en extraire le nom et l'instrument
+ *  - produit le libellé affiché ("Jason (Batterie)")
+ */
+
+import { INSTRUMENTS, MUSICIAN_LABELS, MEMBER_NAME_OVERRIDES } from './config.js';
+
+// Un nom de membre : 1 à 3 mots composés de lettres (accents, apostrophes, tirets)
+const NAME_RE = /^[A-Za-zÀ-ÿ'’-]+(?: [A-Za-zÀ-ÿ'’-]+){0,2}$/;
+
+// Mots qui ne désignent jamais un membre (en-têtes "Title: Original Key", etc.)
+const NOT_A_NAME_RE = /\b(song|songs|title|titles|titre|original|orignal|orig|ogk|key|progression)\b/i;
+
+
+/**
+ * Retourne l'identifiant d'instrument correspondant à un mot, ou null.
+ * Ex: "drums" → 'drum', "Clavier" → 'piano'
+ *
+ * @param {string} word
+ * @returns {string|null}
+ */
+export function matchInstrument(word) {
+  const w = String(word || '').trim().toLowerCase();
+  if (!w) return null;
+  return Object.keys(INSTRUMENTS).find(id => INSTRUMENTS[id].aliases.includes(w)) || null;
+}
+
+/**
+ * Interprète un en-tête "<Nom> <Instrument>".
+ *
+ * @param {string} header
+ * @returns {{ key: string, name: string, instrument: string }|null}
+ */
+export function parseMusicianHeader(header) {
+  const words = String(header || '').replace(/\s+/g, ' ').trim().split(' ');
+  if (words.length < 2) return null;
+
+  const instrument = matchInstrument(words[words.length - 1]);
+  const name       = memberDisplayName(words.slice(0, -1).join(' '));
+  if (!instrument || !isMemberName(name)) return null;
+
+  return { key: `${name} ${INSTRUMENTS[instrument].keyword}`, name, instrument };
+}
+
+/**
+ * Interprète un en-tête "<Nom> Key" et retourne le nom du chanteur, ou null.
+ * Ex: "Maman Annie Key" → "Maman Annie"
+ *
+ * @param {string} header
+ * @returns {string|null}
+ */
+export function parseSingerHeader(header) {
+  const m = String(header || '').replace(/\s+/g, ' ').trim().match(/^(.+?)\s+key$/i);
+  if (!m) return null;
+
+  const name = memberDisplayName(m[1]);
+  return isMemberName(name) ? name : null;
+}
+
+/**
+ * Applique les surcharges de config.js (MEMBER_NAME_OVERRIDES) à un nom lu dans le XLSX.
+ * @param {string} name
+ * @returns {string}
+ */
+export function memberDisplayName(name) {
+  const clean = String(name || '').replace(/\s+/g, ' ').trim();
+  return MEMBER_NAME_OVERRIDES[clean] || clean;
+}
+
+/**
+ * Relit une clé de song.musicians ("Raphael Drum").
+ * Les clés dont l'instrument n'est pas reconnu gardent instrument = null.
+ *
+ * @param {string} key
+ * @returns {{ name: string, instrument: string|null }}
+ */
+export function musicianInfo(key) {
+  const words      = String(key || '').trim().split(/\s+/);
+  const instrument = words.length > 1 ? matchInstrument(words[words.length - 1]) : null;
+
+  return instrument
+    ? { name: words.slice(0, -1).join(' '), instrument }
+    : { name: words[0] || '', instrument: null };
+}
+
+/**
+ * Libellé affiché d'un musicien. Ex: "Raphael Drum" → "Raphael (Batterie)"
+ * @param {string} key
+ * @returns {string}
+ */
+export function musicianLabel(key) {
+  if (MUSICIAN_LABELS[key]) return MUSICIAN_LABELS[key];
+
+  const { name, instrument } = musicianInfo(key);
+  return instrument ? `${name} (${INSTRUMENTS[instrument].label})` : key;
+}
+
+/**
+ * Reconstruit la liste des chanteurs et musiciens à partir des chansons.
+ * Utilisé pour les données en cache antérieures à la découverte automatique.
+ *
+ * @param {Object[]} songs
+ * @returns {{ singers: string[], musicians: Array<{ key, name, instrument }> }}
+ */
+export function derivePerformers(songs) {
+  const singers   = new Set();
+  const musicians = new Map();
+
+  (songs || []).forEach(song => {
+    Object.keys(song.memberKeys || {}).forEach(name => singers.add(name));
+    Object.keys(song.musicians  || {}).forEach(key => {
+      if (!musicians.has(key)) musicians.set(key, { key, ...musicianInfo(key) });
+    });
+  });
+
+  return { singers: [...singers], musicians: [...musicians.values()] };
+}
+
+function isMemberName(name) {
+  return NAME_RE.test(name) && !NOT_A_NAME_RE.test(name);
+}
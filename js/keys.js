@@ -0,0 +1,284 @@
+/**
+ * KEYS.JS — Tonalités et noms de notes
+ *
+ * Lecture des tonalités saisies dans le classeur, en lettres ou en solfège
+ * ("Bb", "B flat", "Sib", "G minor", "Solm"…), comparaison des enharmoniques,
+ * affichage en lettres ou en solfège, orthographe des notes dans une
+ * tonalité (dièses ou bémols selon l'armure) et transposition d'une note.
+ *
+ *   key = { tonic: 'Bb', letter: 'B', accidental: -1, pitch: 10, minor: false }
+ *
+ * accidental : -1 = bémol, 0 = naturel, 1 = dièse.
+ * pitch      : hauteur de la tonique en demi-tons (C = 0 … B = 11).
+ */
+
+const LETTERS        = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const NATURAL_PITCH  = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const LETTER_FIFTHS  = { F: -1, C: 0, G: 1, D: 2, A: 3, E: 4, B: 5 };
+const SOLFEGE        = { C: 'Do', D: 'Ré', E: 'Mi', F: 'Fa', G: 'Sol', A: 'La', B: 'Si' };
+const SOLFEGE_LETTERS = { do: 'C', re: 'D', mi: 'E', fa: 'F', sol: 'G', la: 'A', si: 'B' };
+
+// Séparateurs d'une cellule à plusieurs tonalités : "E > G#", "G or Ab", "Eb - F", "Si/B"
+const KEY_SEPARATOR_RE = /(\s*(?:>|→|–|-|\/|,|\bor\b|\bou\b)\s*)/i;
+
+// Intervalles des degrés 1 à 7 depuis la tonique. Les chiffres se lisent
+// toujours sur la gamme majeure, y compris en mineur ("1m 4m b6 b7").
+const MAJOR_SCALE = [0, 2, 4, 5, 7, 9, 11];
+
+// Notes qui ne s'écrivent ainsi que lorsqu'elles appartiennent à la gamme
+const RARE_NOTES = ['E#', 'B#', 'Cb', 'Fb'];
+
+// Tonalités par armure (index = nombre d'altérations + 7, bémols négatifs)
+const MAJOR_BY_SIGNATURE = ['Cb', 'Gb', 'Db', 'Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#'];
+const MINOR_BY_SIGNATURE = ['Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#', 'G#', 'D#', 'A#'];
+
+/** Les 12 tonalités majeures proposées au choix, dans leur orthographe usuelle. */
+export const KEY_CHOICES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// LECTURE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Lit une tonalité saisie à la main.
+ * Ex: "Bb", "B flat", "A #", "F#m", "c minor", "Sib", "Fa# mineur" → objet key ;
+ * "E > G#" → null (voir parseKeyText)
+ *
+ * @param {string} text
+ * @returns {Object|null} null si le texte n'est pas une tonalité unique
+ */
+export function parseKey(text) {
+  const clean = String(text || '')
+    .trim()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[♯]/g, '#')
+    .replace(/[♭]/g, 'b')
+    .replace(/\s*\b(sharp|diese)\b/i, '#')
+    .replace(/\s*\b(flat|bemol)\b/i, 'b');
+
+  const m = clean.match(/^([A-Ga-g]|do|re|mi|fa|sol|la|si)\s*([#b]?)\s*(m|min|minor|mineur|maj|major|majeur)?$/i);
+  if (!m) return null;
+
+  const letter = m[1].length > 1 ? SOLFEGE_LETTERS[m[1].toLowerCase()] : m[1].toUpperCase();
+  return makeKey(letter, m[2] === '#' ? 1 : m[2] === 'b' ? -1 : 0, /^m(in|ineur|inor)?$/i.test(m[3] || ''));
+}
+
+/**
+ * Lit une cellule pouvant contenir plusieurs tonalités (modulation ou choix) :
+ * "E > G#", "G or Ab", "Si/B".
+ *
+ * @param {string} text
+ * @returns {Object[]|null} tonalités dans l'ordre, null si une partie est illisible
+ */
+export function parseKeyText(text) {
+  const parts = splitKeyText(text);
+  if (!parts.length || parts.some(p => !p.key)) return null;
+  return parts.map(p => p.key);
+}
+
+/**
+ * Nom court d'une tonalité ("Bb", "F#m").
+ * @param {Object} key
+ * @returns {string}
+ */
+export function keyName(key) {
+  return key.tonic + (key.minor ? 'm' : '');
+}
+
+/**
+ * Nom d'une tonalité dans la notation demandée.
+ * Ex: formatKey(Bb, 'solfege') → "Sib" ; formatKey(F#m, 'letter') → "F#m"
+ *
+ * @param {Object} key
+ * @param {'letter'|'solfege'} [notation]
+ * @returns {string}
+ */
+export function formatKey(key, notation = 'letter') {
+  if (notation !== 'solfege') return keyName(key);
+  return SOLFEGE[key.letter] + accidentalSymbol(key.accidental) + (key.minor ? 'm' : '');
+}
+
+/**
+ * Réécrit une cellule de tonalité(s) dans la notation demandée, en gardant
+ * ses séparateurs ("E > G#" → "Mi > Sol#"). Une même tonalité écrite deux
+ * fois ("Si/B") n'est affichée qu'une fois. Un texte illisible est rendu tel quel.
+ *
+ * @param {string} text
+ * @param {'letter'|'solfege'} [notation]
+ * @returns {string}
+ */
+export function formatKeyText(text, notation = 'letter') {
+  const parts = splitKeyText(text);
+  if (!parts.length || parts.some(p => !p.key)) return String(text || '');
+
+  return parts
+    .filter((p, i) => i === 0 || !sameKey(p.key, parts[i - 1].key))
+    .map((p, i) => (i === 0 ? '' : p.separator) + formatKey(p.key, notation))
+    .join('');
+}
+
+/**
+ * Deux tonalités sont-elles identiques, enharmoniques comprises (A# = Bb) ?
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+export function sameKey(a, b) {
+  return !!a && !!b && a.pitch === b.pitch && a.minor === b.minor;
+}
+
+/**
+ * Remplace une tonalité à plus de six altérations par son enharmonique
+ * ("D#" → "Eb", "A#m" → "Bbm"), plus lisible pour les musiciens.
+ * @param {Object} key
+ * @returns {Object}
+ */
+export function normalizeKey(key) {
+  let signature = keySignature(key);
+  if (signature > 6)  signature -= 12;
+  if (signature < -6) signature += 12;
+  if (signature === keySignature(key)) return key;
+
+  const tonic = (key.minor ? MINOR_BY_SIGNATURE : MAJOR_BY_SIGNATURE)[signature + 7];
+  return parseKey(tonic + (key.minor ? 'm' : ''));
+}
+
+/**
+ * Nombre d'altérations à l'armure : positif = dièses, négatif = bémols.
+ * @param {Object} key
+ * @returns {number}
+ */
+export function keySignature(key) {
+  // Une tonalité mineure a l'armure de son relatif majeur (une tierce mineure au-dessus)
+  const letter     = key.minor ? LETTERS[(LETTERS.indexOf(key.letter) + 2) % 7] : key.letter;
+  const pitch      = key.minor ? (key.pitch + 3) % 12 : key.pitch;
+  const accidental = accidentalBetween(NATURAL_PITCH[letter], pitch);
+  return LETTER_FIFTHS[letter] + 7 * accidental;
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// NOTES DANS UNE TONALITÉ
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Note d'un degré de la gamme (1 à 7, altéré ou non) dans une tonalité.
+ * Ex: degreeNote(7, -1, Bb) → "Ab" ; degreeNote(3, 0, F#) → "A#" ; degreeNote(7, -1, Db) → "B"
+ *
+ * @param {number} degree     - 1 à 7
+ * @param {number} accidental - -1, 0 ou 1
+ * @param {Object} key
+ * @returns {string}
+ */
+export function degreeNote(degree, accidental, key) {
+  const index = LETTERS.indexOf(key.letter) + degree - 1;
+  return spellNote(LETTERS[index % 7], key.pitch + MAJOR_SCALE[degree - 1] + accidental, key, accidental === 0);
+}
+
+/**
+ * Écart en demi-tons entre la tonique et un degré (1 à 7, altéré ou non).
+ * Ex: degreeInterval(5, 0) → 7 ; degreeInterval(7, -1) → 10
+ *
+ * @param {number} degree
+ * @param {number} accidental
+ * @returns {number}
+ */
+export function degreeInterval(degree, accidental = 0) {
+  return MAJOR_SCALE[degree - 1] + accidental;
+}
+
+/**
+ * Degré d'une note dans une tonalité (inverse de degreeNote).
+ * Ex: noteDegree("Eb", G) → { degree: 6, accidental: -1 } (b6)
+ *
+ * @param {string} note
+ * @param {Object} key
+ * @returns {{ degree: number, accidental: number }|null} null si la note est illisible
+ */
+export function noteDegree(note, key) {
+  const parsed = parseKey(note);
+  if (!parsed || parsed.minor) return null;
+
+  const offset     = (LETTERS.indexOf(parsed.letter) - LETTERS.indexOf(key.letter) + 7) % 7;
+  const semitones  = (parsed.pitch - key.pitch + 12) % 12;
+  const accidental = accidentalBetween(MAJOR_SCALE[offset], semitones);
+  if (Math.abs(accidental) <= 1) return { degree: offset + 1, accidental };
+
+  // Orthographe inhabituelle (ex: "Fb" en G) : degré le plus proche, bémol de préférence
+  const natural = MAJOR_SCALE.indexOf(semitones);
+  if (natural >= 0) return { degree: natural + 1, accidental: 0 };
+  return semitones === 6 ? { degree: 4, accidental: 1 } : { degree: MAJOR_SCALE.indexOf(semitones + 1) + 1, accidental: -1 };
+}
+
+/**
+ * Transpose une note d'une tonalité à une autre en conservant sa fonction :
+ * la tierce de G (B) devient la tierce de Bb (D), b7 de G (F) devient Ab.
+ *
+ * @param {string} note - "F#", "Bb"…
+ * @param {Object} from
+ * @param {Object} to
+ * @returns {string|null} null si la note est illisible
+ */
+export function transposeNote(note, from, to) {
+  const parsed = parseKey(note);
+  if (!parsed || parsed.minor) return null;
+
+  const letterOffset = (LETTERS.indexOf(parsed.letter) - LETTERS.indexOf(from.letter) + 7) % 7;
+  const letter       = LETTERS[(LETTERS.indexOf(to.letter) + letterOffset) % 7];
+  const diatonic     = (parsed.pitch - from.pitch + 12) % 12 === MAJOR_SCALE[letterOffset];
+  return spellNote(letter, to.pitch + parsed.pitch - from.pitch, to, diatonic);
+}
+
+/**
+ * Écrit une hauteur avec la lettre demandée ("E" + 5 demi-tons → "E#").
+ * Au-delà d'une altération (double dièse / bémol), ou pour E#, B#, Cb, Fb
+ * hors de la gamme, la note est réécrite en dièses ou en bémols selon
+ * l'armure de la tonalité.
+ */
+function spellNote(letter, pitch, key, diatonic) {
+  const accidental = accidentalBetween(NATURAL_PITCH[letter], pitch);
+  const name       = letter + accidentalSymbol(accidental);
+  if (Math.abs(accidental) <= 1 && (diatonic || !RARE_NOTES.includes(name))) return name;
+
+  const flats = keySignature(key) < 0;
+  const p     = ((pitch % 12) + 12) % 12;
+  return LETTERS.find(l => NATURAL_PITCH[l] === p)
+    || (flats ? LETTERS.find(l => NATURAL_PITCH[l] === p + 1) + 'b' : LETTERS.find(l => NATURAL_PITCH[l] === p - 1) + '#');
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** "E > G#" → [{ text: 'E', key, separator: '' }, { text: 'G#', key, separator: ' > ' }] */
+function splitKeyText(text) {
+  const pieces = String(text || '').trim().split(KEY_SEPARATOR_RE);
+  const parts  = [];
+  for (let i = 0; i < pieces.length; i += 2) {
+    if (!pieces[i].trim()) continue;
+    parts.push({ text: pieces[i], key: parseKey(pieces[i]), separator: pieces[i - 1] || '' });
+  }
+  return parts;
+}
+
+function makeKey(letter, accidental, minor) {
+  return {
+    tonic:      letter + accidentalSymbol(accidental),
+    letter,
+    accidental,
+    pitch:      (NATURAL_PITCH[letter] + accidental + 12) % 12,
+    minor,
+  };
+}
+
+/** Écart en demi-tons (-6 à 5) entre une note naturelle et une hauteur. */
+function accidentalBetween(naturalPitch, pitch) {
+  return ((pitch - naturalPitch) % 12 + 18) % 12 - 6;
+}
+
+function accidentalSymbol(accidental) {
+  return accidental > 0 ? '#'.repeat(accidental) : 'b'.repeat(-accidental);
+}
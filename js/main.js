@@ -17,11 +17,19 @@ import { renderDashboard }                        from './views/dashboard.js';
 import { initSongsView, renderSongsTable }        from './views/songs.js';
 import { initMembersView, renderMemberCards,
          selectMember, renderMemberDetail }       from './views/members.js';
+import { initMatrixView, renderKeyMatrix }        from './views/matrix.js';
+import { initSetlistsView, renderSetlists }       from './views/setlists.js';
+import { initCalendarView, renderCalendar }       from './views/calendar.js';
+import { initSharedView, renderSharedSetlist }    from './views/shared.js';
 import { initServiceView, renderServiceTable,
          populateMemberFilter }                   from './views/service.js';
-import { SINGERS, AVATAR_COLORS }                 from './config.js';
 import { normalizePersonName }                    from './utils.js';
 import { initPWA }                                from './pwa.js';
+import { renderImportReport }                     from './report.js';
+import { downloadBackup }                         from './backup.js';
+import { downloadWorkbook }                       from './xlsx-export.js';
+import { getPref, setPref }                       from './prefs.js';
+import { decodeSharedHash }                       from './share.js';
 
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -34,6 +42,10 @@ document.addEventListener('DOMContentLoaded', () => {
   initSongsView();
   initMembersView();
   initServiceView();
+  initMatrixView();
+  initSetlistsView();
+  initCalendarView();
+  initSharedView();
   initPWA();
 
   // Écouteurs de navigation sidebar
@@ -41,8 +53,18 @@ document.addEventListener('DOMContentLoaded', () => {
     item.addEventListener('click', () => showView(item.dataset.view));
   });
 
-  // Bouton "Changer de source"
+  // Boutons du pied de sidebar
+  document.getElementById('xlsx-export-btn')?.addEventListener('click', downloadWorkbook);
+  document.getElementById('backup-btn')?.addEventListener('click', downloadBackup);
   document.getElementById('reset-btn')?.addEventListener('click', resetApp);
+  document.getElementById('key-notation-btn')?.addEventListener('click', toggleKeyNotation);
+  updateKeyNotationBtn();
+
+  // Lien de setlist partagée ouvert alors que l'app est déjà lancée
+  window.addEventListener('hashchange', () => {
+    if (document.body.classList.contains('app-open')) openSharedLink();
+  });
+  document.getElementById('shared-close-btn')?.addEventListener('click', closeSharedLink);
 
   // Setup — appelé en dernier (peut déclencher launchApp si données chargées)
   initSetup(launchApp);
@@ -65,8 +87,8 @@ function launchApp(data) {
   setData(data);
 
   // ── Complète la liste des membres si absents du Report sheet ──
-  // Les chanteurs identifiés via les colonnes "Key" du XLSX
-  SINGERS.forEach(name => {
+  // Les chanteurs découverts via les colonnes "<Nom> Key" du XLSX
+  state.performers.singers.forEach(name => {
     const hasSongs = state.songs.some(s => s.memberKeys[name]);
     if (hasSongs && !state.members.find(m => normalizePersonName(m.name) === normalizePersonName(name))) {
       state.members.push({ name, role: 'Chanteur·se' });
@@ -80,9 +102,11 @@ function launchApp(data) {
     }
   });
 
-  // Les musiciens identifiés via les colonnes "Piano / Drum / Bass / Guitar"
+  // Les musiciens découverts via les colonnes "<Nom> <Instrument>"
   const musiciansFound = new Set(
-    state.songs.flatMap(s => Object.keys(s.musicians).map(k => k.split(' ')[0]))
+    state.performers.musicians
+      .filter(m => state.songs.some(s => s.musicians[m.key]))
+      .map(m => m.name)
   );
   musiciansFound.forEach(mName => {
     if (!state.members.find(m => normalizePersonName(m.name) === normalizePersonName(mName))) {
@@ -98,8 +122,9 @@ function launchApp(data) {
   document.getElementById('app').classList.add('visible');
   document.body.classList.add('app-open');
 
-  // ── Affiche la vue initiale ──
-  showView('dashboard');
+  // ── Affiche la vue initiale (ou la setlist du lien) + le rapport d'import ──
+  if (!openSharedLink()) showView('dashboard');
+  renderImportReport(state.diagnostics);
 
   showToast(`${state.songs.length} chansons chargées ✓`, 'success');
 }
@@ -111,7 +136,7 @@ function launchApp(data) {
 
 /**
  * Active une vue (page) et met à jour la sidebar.
- * @param {'dashboard'|'songs'|'members'|'service'} view
+ * @param {'dashboard'|'songs'|'members'|'service'|'setlists'|'shared'|'calendar'|'matrix'} view
  */
 function showView(view) {
   state.currentView = view;
@@ -139,6 +164,19 @@ function showView(view) {
       state.servicePage = 1;
       renderServiceTable();
       break;
+    case 'setlists':
+      renderSetlists();
+      break;
+    case 'calendar':
+      renderCalendar();
+      break;
+    case 'shared':
+      renderSharedSetlist();
+      break;
+    case 'matrix':
+      state.matrixPage = 1;
+      renderKeyMatrix();
+      break;
   }
 }
 
@@ -165,6 +203,53 @@ function goToSongsWithFilters(filters = {}) {
 }
 
 
+// ─────────────────────────────────────────────────────────────────────────────
+// SETLIST PARTAGÉE — Lien "#s=…" (voir share.js)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Affiche la setlist contenue dans l'URL, s'il y en a une.
+ * @returns {boolean} true si la vue Setlist partagée a été ouverte
+ */
+function openSharedLink() {
+  let shared;
+  try {
+    shared = decodeSharedHash(window.location.hash);
+  } catch (error) {
+    showToast(error.message, 'error');
+    return false;
+  }
+  if (!shared) return false;
+
+  state.sharedSetlist = shared;
+  showView('shared');
+  return true;
+}
+
+/** Quitte la setlist partagée : retire le lien de l'URL, retour au Dashboard. */
+function closeSharedLink() {
+  state.sharedSetlist = null;
+  history.replaceState(null, '', window.location.pathname + window.location.search);
+  showView('dashboard');
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// NOTATION DES TONALITÉS — Lettres (C, Bb) ou solfège (Do, Sib)
+// ─────────────────────────────────────────────────────────────────────────────
+
+function toggleKeyNotation() {
+  setPref('keyNotation', getPref('keyNotation') === 'solfege' ? 'letter' : 'solfege');
+  updateKeyNotationBtn();
+  if (state.currentView) showView(state.currentView);
+}
+
+function updateKeyNotationBtn() {
+  const btn = document.getElementById('key-notation-btn');
+  if (btn) btn.textContent = `♪ Tonalités : ${getPref('keyNotation') === 'solfege' ? 'Solfège' : 'Lettres'}`;
+}
+
+
 // ─────────────────────────────────────────────────────────────────────────────
 // RESET — Retour à l'écran de configuration
 // ─────────────────────────────────────────────────────────────────────────────
@@ -184,7 +269,7 @@ function resetApp() {
 // Les modules ES6 ne pollue pas window. Pour que les onclick="..." dans le HTML
 // généré dynamiquement fonctionnent, on expose les fonctions nécessaires ici.
 
-window._openModal = (songId) => openSongModal(songId);
+window._openModal = (songId, options) => openSongModal(songId, options);
 
 window._selectMember = (name) => {
   selectMember(name);
@@ -198,3 +283,8 @@ window._memberSearch = () => {
 window._goSongsWithFilters = (filters) => {
   goToSongsWithFilters(filters || {});
 };
+
+window._openSetlist = (id) => {
+  state.currentSetlist = id;
+  showView('setlists');
+};
@@ -0,0 +1,288 @@
+/**
+ * MAPPING.JS — Assistant de correspondance des colonnes
+ *
+ * Avant l'import d'un classeur, affiche l'en-tête détecté de chaque feuille
+ * de chansons et permet de confirmer ou réassigner chaque colonne :
+ *  - Titre, dernière fois, jours, creu/sommet, langue, paroles, progression
+ *  - Tonalité d'un chanteur (avec son nom)
+ *  - Musicien (nom + instrument)
+ *
+ * La correspondance validée est enregistrée dans localStorage, indexée par
+ * la signature des en-têtes (voir headerSignature() dans parser.js) :
+ * un nouvel import du même classeur la réutilise sans repasser par l'assistant.
+ */
+
+import { esc, showToast }      from './utils.js';
+import { parseMusicianHeader } from './instruments.js';
+
+const STORAGE_KEY = 'lwc_column_mappings';
+
+// ─── Rôles possibles d'une colonne ───────────────────────────────────────────
+// `field` = clé correspondante dans l'objet `cols` produit par detectColumns().
+const COLUMN_ROLES = [
+  { value: '',            label: '— Ignorer —' },
+  { value: 'title',       label: 'Titre (Titre: Tonalité)', field: 'title' },
+  { value: 'lastSang',    label: 'Dernière fois',           field: 'lastSang' },
+  { value: 'daysPast',    label: 'Jours passés',            field: 'daysPast' },
+  { value: 'creuSommet',  label: 'Creu & Sommet',           field: 'creuSommet' },
+  { value: 'langue',      label: 'Langue',                  field: 'langue' },
+  { value: 'lyrics',      label: 'Paroles',                 field: 'lyrics' },
+  { value: 'progression', label: 'Progression',             field: 'progression' },
+  { value: 'memberKey',   label: 'Tonalité d\'un chanteur' },
+  { value: 'musician',    label: 'Musicien (Nom Instrument)' },
+];
+
+const SINGLE_FIELDS = COLUMN_ROLES.filter(r => r.field).map(r => r.field);
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PERSISTANCE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Charge les correspondances enregistrées.
+ * @returns {Object} { signature: { section, headers, cols, savedAt } }
+ */
+export function loadColumnMappings() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') || {};
+  } catch (e) {
+    console.warn('[Mapping] Erreur de lecture des correspondances :', e.message);
+    return {};
+  }
+}
+
+/**
+ * Enregistre (ou remplace) des correspondances.
+ * @param {Object} mappings - { signature: { section, headers, cols } }
+ */
+export function saveColumnMappings(mappings) {
+  const all = { ...loadColumnMappings() };
+  Object.entries(mappings).forEach(([signature, entry]) => {
+    all[signature] = { ...entry, savedAt: new Date().toISOString() };
+  });
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+  } catch (e) {
+    console.warn('[Mapping] Impossible de sauvegarder les correspondances :', e.message);
+  }
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POINT D'ENTRÉE — Revue des colonnes
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Retourne les correspondances à utiliser pour un import.
+ * Si toutes les feuilles ont déjà une correspondance enregistrée (et que la
+ * revue n'est pas forcée), elles sont réutilisées directement. Sinon,
+ * l'assistant est affiché dans l'écran de setup.
+ *
+ * @param {Array}   sheets - Résultat de inspectSongSheets()
+ * @param {boolean} force  - Affiche l'assistant même si tout est connu
+ * @returns {Promise<Object|null>} correspondances, ou null si annulé
+ */
+export async function reviewColumnMappings(sheets, force = false) {
+  const saved = loadColumnMappings();
+  const known = sheets.every(s => saved[s.signature]);
+
+  if (known && !force) return saved;
+
+  const mappings = await openMappingWizard(sheets, saved);
+  if (mappings) saveColumnMappings(mappings);
+  return mappings;
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ASSISTANT (UI)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Affiche l'assistant à la place des onglets de setup.
+ * @returns {Promise<Object|null>}
+ */
+function openMappingWizard(sheets, saved) {
+  const panel = document.getElementById('mapping-wizard');
+  const tabs  = document.getElementById('setup-sources');
+  if (!panel) return Promise.resolve(null);
+
+  panel.innerHTML = `
+    <div class="setup-info-block">
+      <strong>Correspondance des colonnes</strong><br>
+      Vérifiez le rôle de chaque colonne des feuilles de chansons.
+      La correspondance sera mémorisée pour les prochains imports de ce classeur.
+    </div>
+    ${sheets.map((sheet, idx) => sheetBlock(sheet, initialRoles(sheet, saved), idx === 0)).join('')}
+    <button class="setup-btn" id="mapping-confirm-btn">Importer avec cette correspondance →</button>
+    <button class="setup-btn setup-btn-secondary" id="mapping-cancel-btn">Annuler</button>`;
+
+  // Le champ "nom" n'a de sens que pour les tonalités et les musiciens
+  panel.querySelectorAll('.mapping-role').forEach(sel => {
+    sel.addEventListener('change', () => toggleNameInput(sel));
+  });
+
+  if (tabs) tabs.style.display = 'none';
+  panel.style.display = 'block';
+  panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+  return new Promise(resolve => {
+    const close = (result) => {
+      panel.style.display = 'none';
+      panel.innerHTML = '';
+      if (tabs) tabs.style.display = '';
+      resolve(result);
+    };
+
+    document.getElementById('mapping-cancel-btn').addEventListener('click', () => close(null));
+
+    document.getElementById('mapping-confirm-btn').addEventListener('click', () => {
+      const mappings = {};
+      for (const sheet of sheets) {
+        const cols = readSheetBlock(panel, sheet);
+        if (cols.title < 0) {
+          showToast(`Feuille "${sheet.section}" : choisissez la colonne Titre`, 'error');
+          return;
+        }
+        mappings[sheet.signature] = { section: sheet.section, headers: sheet.headers, cols };
+      }
+      close(mappings);
+    });
+  });
+}
+
+/** HTML du bloc d'une feuille (une ligne par colonne non vide). */
+function sheetBlock(sheet, roles, open) {
+  const rows = sheet.headers.map((header, i) => {
+    if (!header && !roles[i].role) return '';
+    const { role, name } = roles[i];
+
+    return `
+      <tr data-col="${i}">
+        <td class="mapping-col-letter">${columnLetter(i)}</td>
+        <td>
+          <div class="mapping-header">${esc(header) || '<em>(vide)</em>'}</div>
+          ${sheet.sample[i] ? `<div class="mapping-sample">ex : ${esc(sheet.sample[i])}</div>` : ''}
+        </td>
+        <td>
+          <select class="filter-select mapping-role" aria-label="Rôle de la colonne ${columnLetter(i)}">
+            ${COLUMN_ROLES.map(r =>
+              `<option value="${r.value}" ${r.value === role ? 'selected' : ''}>${esc(r.label)}</option>`
+            ).join('')}
+          </select>
+          <input class="setup-input mapping-name" value="${esc(name)}"
+                 placeholder="Nom" aria-label="Nom associé à la colonne ${columnLetter(i)}"
+                 style="${role === 'memberKey' || role === 'musician' ? '' : 'display:none;'}">
+        </td>
+      </tr>`;
+  }).join('');
+
+  return `
+    <details class="mapping-sheet" data-signature="${esc(sheet.signature)}" ${open ? 'open' : ''}>
+      <summary>${esc(sheet.section)} <span>${sheet.headers.filter(Boolean).length} colonnes</span></summary>
+      <table class="mapping-table">
+        <tbody>${rows}</tbody>
+      </table>
+    </details>`;
+}
+
+function toggleNameInput(select) {
+  const input = select.parentElement.querySelector('.mapping-name');
+  if (!input) return;
+  const needsName = select.value === 'memberKey' || select.value === 'musician';
+  input.style.display = needsName ? '' : 'none';
+  if (needsName && !input.value) {
+    const header = select.closest('tr')?.querySelector('.mapping-header')?.textContent || '';
+    input.value = select.value === 'memberKey' ? header.replace(/\s*key\s*$/i, '').trim() : header;
+  }
+}
+
+/** Relit les choix d'une feuille et reconstruit l'objet `cols`. */
+function readSheetBlock(panel, sheet) {
+  const block = [...panel.querySelectorAll('.mapping-sheet')]
+    .find(el => el.dataset.signature === sheet.signature);
+
+  const roles = [];
+  block?.querySelectorAll('tr[data-col]').forEach(tr => {
+    roles[Number(tr.dataset.col)] = {
+      role: tr.querySelector('.mapping-role').value,
+      name: tr.querySelector('.mapping-name').value.replace(/\s+/g, ' ').trim(),
+    };
+  });
+
+  return rolesToCols(roles);
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONVERSION cols ⇄ rôles par colonne
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Rôles initiaux d'une feuille : correspondance exacte enregistrée, sinon
+ * détection automatique complétée par la dernière correspondance connue
+ * pour la même section (colonnes reconnues par leur libellé).
+ */
+function initialRoles(sheet, saved) {
+  const exact = saved[sheet.signature];
+  if (exact) return colsToRoles(exact.cols, sheet.headers.length);
+
+  const roles = colsToRoles(sheet.detected, sheet.headers.length);
+
+  const previous = Object.values(saved)
+    .filter(m => m.section === sheet.section)
+    .sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)))[0];
+  if (!previous) return roles;
+
+  const previousRoles = colsToRoles(previous.cols, previous.headers.length);
+  sheet.headers.forEach((header, i) => {
+    const prevIdx = previous.headers.findIndex(h => h && h.toLowerCase() === header.toLowerCase());
+    if (prevIdx >= 0) roles[i] = previousRoles[prevIdx];
+  });
+
+  return roles;
+}
+
+function colsToRoles(cols, length) {
+  const roles = Array.from({ length }, () => ({ role: '', name: '' }));
+  const set = (idx, role, name = '') => {
+    if (idx >= 0 && idx < length) roles[idx] = { role, name };
+  };
+
+  SINGLE_FIELDS.forEach(field => set(cols[field], field));
+  Object.entries(cols.memberKeys || {}).forEach(([name, idx]) => set(idx, 'memberKey', name));
+  Object.entries(cols.musicians  || {}).forEach(([name, idx]) => set(idx, 'musician', name));
+
+  return roles;
+}
+
+function rolesToCols(roles) {
+  const cols = { memberKeys: {}, musicians: {} };
+  SINGLE_FIELDS.forEach(field => { cols[field] = -1; });
+
+  roles.forEach((entry, i) => {
+    if (!entry || !entry.role) return;
+    if (entry.role === 'memberKey') {
+      if (entry.name) cols.memberKeys[entry.name] = i;
+    } else if (entry.role === 'musician') {
+      // "raphael drums" → clé canonique "raphael Drum" ; texte libre sinon
+      const parsed = parseMusicianHeader(entry.name);
+      if (entry.name) cols.musicians[parsed ? parsed.key : entry.name] = i;
+    } else if (cols[entry.role] < 0) {
+      cols[entry.role] = i;
+    }
+  });
+
+  return cols;
+}
+
+/** 0 → A, 25 → Z, 26 → AA */
+function columnLetter(i) {
+  let s = '';
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    s = String.fromCharCode(65 + (n - 1) % 26) + s;
+  }
+  return s;
+}
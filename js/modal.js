@@ -3,14 +3,22 @@
  *
  * Affiche une fenêtre modale avec toutes les informations d'une chanson :
  *  - Métadonnées (date, jours, langue, tonalité originale)
- *  - Tonalités par membre
+ *  - Historique des passages (date, lead, tonalité, musiciens)
+ *  - Tonalités par membre et tonalités suggérées selon la tessiture de chacun
  *  - Musiciens assignés
- *  - Progression d'accords
+ *  - Progression d'accords : transposable dans la tonalité d'un membre,
+ *    affichable en chiffres Nashville ou romains, imprimable
  */
 
 import { state }                         from './state.js';
-import { SECTION_CSS, MUSICIAN_LABELS }  from './config.js';
-import { esc, formatDate, findKeyByName } from './utils.js';
+import { musicianLabel }                 from './instruments.js';
+import { formatChord, transposeChart, renumberChart } from './chords.js';
+import { parseKey, parseKeyText, keyName, normalizeKey, sameKey, KEY_CHOICES } from './keys.js';
+import { displayKey }                    from './prefs.js';
+import { printSection }                  from './print.js';
+import { songFit, fitLevel, noteName }   from './range-fit.js';
+import { songHistory }                   from './history.js';
+import { esc, formatDate, findKeyByName, findPersonKeyByName, sectionBadges } from './utils.js';
 
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -47,10 +55,17 @@ export function initModal() {
 /**
  * Ouvre le modal avec les données de la chanson identifiée par son ID.
  *
- * @param {string} songId - ID unique de la chanson (ex: "Entrée_2")
+ * @param {string} songId - ID stable de la chanson (ex: "entree--10-000-reasons")
+ * @param {Object} [options]
+ * @param {string} [options.key]      - Tonalité des accords de la progression
+ *                                      ("Bb", ou "G > A" : la première) ;
+ *                                      tonalité originale par défaut
+ * @param {string} [options.notation] - 'letter' | 'nashville' | 'roman'
  */
-export function openSongModal(songId) {
-  const song = state.songs.find(s => s.id === songId);
+export function openSongModal(songId, options = {}) {
+  // aliases : anciens identifiants d'une chanson fusionnée (liens existants)
+  const song = state.songs.find(s => s.id === songId)
+    || state.songs.find(s => s.aliases?.includes(songId));
   if (!song) {
     console.warn('[Modal] Chanson introuvable :', songId);
     return;
@@ -59,20 +74,20 @@ export function openSongModal(songId) {
   // ── Titre et badges ──
   document.getElementById('modal-title').textContent = song.title;
 
-  const sc = SECTION_CSS[song.section] || 'entree';
   const langCls = song.langue.toLowerCase().replace('/', '') || '—';
 
   document.getElementById('modal-badges').innerHTML = `
-    <span class="badge badge-${sc}">${esc(song.section)}</span>
+    ${sectionBadges(song)}
     <span class="badge badge-${langCls}">${esc(song.langue)}</span>
     ${song.originalKey
-      ? `<span class="badge" style="background:rgba(201,168,76,0.15);color:var(--accent);">🎵 ${esc(song.originalKey)}</span>`
+      ? `<span class="badge" style="background:rgba(201,168,76,0.15);color:var(--accent);">🎵 ${esc(displayKey(song.originalKey))}</span>`
       : ''}
     ${song.hasLyrics     ? '<span class="badge badge-yes">Paroles ✓</span>'     : ''}
     ${song.hasProgression ? '<span class="badge badge-yes">Progression ✓</span>' : ''}`;
 
   // ── Corps du modal ──
   document.getElementById('modal-body').innerHTML = buildModalBody(song);
+  initChartControls(song, options);
 
   // Ouvre le modal
   document.getElementById('modal-overlay').classList.add('open');
@@ -110,32 +125,54 @@ function buildModalBody(song) {
         ${metaItem('Dernière fois', formatDate(song.lastSang))}
         ${metaItem('Jours passés', song.daysPast != null ? song.daysPast + 'j' : '—')}
         ${metaItem('Creu & Sommet', song.creuSommet || '—')}
-        ${metaItem('Tonalité originale', song.originalKey || '—', 'var(--accent)', '600')}
-        ${metaItem('Section', song.section)}
+        ${metaItem('Tonalité originale', displayKey(song.originalKey) || '—', 'var(--accent)', '600')}
+        ${metaItem(song.sections.length > 1 ? 'Sections' : 'Section', song.sections.join(' / '))}
         ${metaItem('Langue', song.langue)}
       </div>
     </div>`);
 
-  // ── 2. Tonalités par membre ──
+  // ── 2. Historique des passages ──
+  const history = songHistory(song);
+  if (history.length) {
+    sections.push(`
+      <div class="modal-section">
+        <div class="modal-section-title">Historique (${history.length})</div>
+        <div class="table-wrap">
+          <table class="history-table">
+            <thead><tr><th>Date</th><th>Section</th><th>Lead</th><th>Tonalité</th><th>Musiciens</th></tr></thead>
+            <tbody>${history.map(historyRow).join('')}</tbody>
+          </table>
+        </div>
+      </div>`);
+  }
+
+  // ── 3. Tonalités par membre ──
   const memberEntries = Object.entries(song.memberKeys);
   sections.push(`
     <div class="modal-section">
       <div class="modal-section-title">Tonalités par membre (${memberEntries.length})</div>
       ${memberEntries.length > 0
         ? `<div class="keys-grid">
-            ${memberEntries.map(([member, key]) => `
-              <div class="key-item">
-                <span class="key-item-name">${esc(member)}</span>
-                <span class="key-item-value">${esc(key)}</span>
-              </div>`).join('')}
+            ${memberEntries.map(([member, key]) => keyItem(song, member, key)).join('')}
            </div>`
         : '<p style="color:var(--text3);font-size:0.85rem;">Aucune tonalité assignée</p>'}`);
   sections.push('</div>');
 
-  // ── 3. Musiciens assignés ──
+  // ── 4. Tonalités suggérées (Creu & Sommet × tessitures) ──
+  const fits = voiceFits(song);
+  if (fits.length) {
+    sections.push(`
+      <div class="modal-section">
+        <div class="modal-section-title">Tonalités suggérées</div>
+        <div class="keys-grid">${fits.map(fitItem).join('')}</div>
+        <p class="transpose-note">Score sur 100 : place de la mélodie (Creu & Sommet) dans la tessiture de chacun.</p>
+      </div>`);
+  }
+
+  // ── 5. Musiciens assignés ──
   const assignedMusicians = Object.entries(song.musicians)
     .filter(([, assigned]) => assigned)
-    .map(([key]) => MUSICIAN_LABELS[key] || key);
+    .map(([key]) => musicianLabel(key));
 
   sections.push(`
     <div class="modal-section">
@@ -148,21 +185,36 @@ function buildModalBody(song) {
         : '<p style="color:var(--text3);font-size:0.85rem;">Aucun musicien assigné</p>'}
     </div>`);
 
-  // ── 4. Progression d'accords ──
+  // ── 6. Progression d'accords ──
   const progKey = findKeyByName(state.progressions, song.title);
   const progression = progKey ? state.progressions[progKey] : null;
 
   if (progression) {
+    const chart = state.progressionCharts[progKey];
     sections.push(`
       <div class="modal-section">
         <div class="modal-section-title">Progression d'accords</div>
-        <div class="progression-block">${esc(progression)}</div>
+        ${chart?.notation ? '<div class="transpose-bar" id="modal-transpose"></div>' : ''}
+        <div id="modal-chart">${chartBlock(chart, progression)}</div>
       </div>`);
   }
 
   return sections.join('');
 }
 
+/** Ligne de l'historique : date, section, lead, tonalité, musiciens du jour */
+function historyRow(entry) {
+  const band = Object.values(entry.band || {}).filter(Boolean).map(musicianLabel);
+  return `
+    <tr>
+      <td>${esc(formatDate(entry.date))}</td>
+      <td>${esc(entry.section)}</td>
+      <td>${esc(entry.lead || '—')}</td>
+      <td style="font-weight:600;color:var(--accent);">${esc(displayKey(entry.key)) || '—'}</td>
+      <td style="color:var(--text2);font-size:0.82rem;">${esc(band.join(', ') || '—')}</td>
+    </tr>`;
+}
+
 /**
  * Génère une carte de méta-information.
  * @param {string} label
@@ -178,3 +230,227 @@ function metaItem(label, value, color = 'var(--text2)', fontWeight = '400') {
       <div class="meta-item-value" style="color:${color};font-weight:${fontWeight};">${esc(value)}</div>
     </div>`;
 }
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PROGRESSION — TONALITÉ, NOTATION, IMPRESSION
+// ─────────────────────────────────────────────────────────────────────────────
+
+const NOTATION_LABELS = { letter: 'Accords', nashville: 'Nashville', roman: 'Romains' };
+
+// Dernière notation choisie, conservée d'une chanson à l'autre pendant la session
+let preferredNotation = null;
+
+/**
+ * Affiche les contrôles de la progression et la grille initiale :
+ *  - notation : accords en lettres, chiffres Nashville ou romains
+ *    (les chiffres sont relatifs à la tonalité originale)
+ *  - tonalité des accords : originale, celle de chaque membre (regroupés
+ *    par tonalité) ou l'une des 12 tonalités
+ *  - impression de la grille affichée
+ *
+ * @param {Object} song
+ * @param {Object} options - Voir openSongModal()
+ */
+function initChartControls(song, options) {
+  const bar = document.getElementById('modal-transpose');
+  if (!bar) return;
+
+  const progKey  = findKeyByName(state.progressions, song.title);
+  const chart    = state.progressionCharts[progKey];
+  const original = firstKey(song.originalKey);
+  const numbered = chart.notation !== 'letter';
+
+  // Sans tonalité originale, des accords en lettres ne peuvent être ni
+  // transposés ni chiffrés
+  const convertible = numbered || !!original;
+
+  // Tonalités des membres : "Bb" → ['Jemima', 'Irene'] (enharmoniques réunies, dans le
+  // mode de la chanson)
+  const memberKeys = new Map();
+  Object.entries(song.memberKeys).forEach(([member, text]) => {
+    const key = firstKey(text);
+    if (!key) return;
+    const name = keyName(targetKey(keyName(normalizeKey(key)), original));
+    if (!memberKeys.has(name)) memberKeys.set(name, []);
+    memberKeys.get(name).push(member);
+  });
+
+  const chips = [
+    original ? { key: keyName(original), label: `Originale · ${displayKey(keyName(original))}` } : null,
+    ...[...memberKeys].map(([key, members]) => ({ key, label: `${displayKey(key)} · ${members.join(', ')}` })),
+  ].filter(Boolean);
+
+  // Tonalité demandée : texte d'une cellule ("A# > B" → Bb, comme les puces)
+  const requested = firstKey(options.key);
+  const view = {
+    notation: options.notation || preferredNotation || (original || chart.notation === 'mixed' ? 'letter' : chart.notation),
+    key:      keyName((requested && normalizeKey(requested)) || original || parseKey(chips[0]?.key) || parseKey('C')),
+  };
+  if (!convertible) view.notation = 'letter';
+
+  const render = () => {
+    bar.querySelectorAll('[data-notation]').forEach(btn => btn.classList.toggle('active', btn.dataset.notation === view.notation));
+    bar.querySelectorAll('[data-key]').forEach(chip =>
+      chip.classList.toggle('active', sameKey(targetKey(chip.dataset.key, original), targetKey(view.key, original))));
+    bar.querySelector('.transpose-keys').hidden = view.notation !== 'letter' || !convertible;
+    bar.querySelector('select').value = KEY_CHOICES.includes(view.key) ? view.key : '';
+
+    const shown = displayedChart(chart, original, view);
+    const note  = !original && chart.notation === 'mixed'
+      ? '<p class="transpose-note">Tonalité originale inconnue : les accords en lettres restent tels quels.</p>'
+      : '';
+    document.getElementById('modal-chart').innerHTML = note + chartBlock(shown, state.progressions[progKey]);
+  };
+
+  bar.innerHTML = `
+    <div class="notation-toggle" role="group" aria-label="Notation">
+      ${Object.entries(NOTATION_LABELS).map(([notation, label]) => `
+        <button class="key-chip" data-notation="${notation}"
+          ${convertible || notation === 'letter' ? '' : 'disabled title="Tonalité originale inconnue"'}>${label}</button>`).join('')}
+    </div>
+    <div class="transpose-keys">
+      <span class="transpose-label">Tonalité</span>
+      ${chips.map(c => `<button class="key-chip" data-key="${esc(c.key)}">${esc(c.label)}</button>`).join('')}
+      <select class="filter-select" aria-label="Autre tonalité">
+        <option value="">Autre…</option>
+        ${KEY_CHOICES.map(k => `<option value="${k}">${esc(displayKey(keyName(targetKey(k, original))))}</option>`).join('')}
+      </select>
+    </div>
+    <button class="key-chip print-chart-btn" title="Imprimer la grille affichée">🖨 Imprimer</button>`;
+
+  bar.querySelectorAll('[data-notation]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      view.notation = preferredNotation = btn.dataset.notation;
+      render();
+    });
+  });
+  bar.querySelectorAll('[data-key]').forEach(chip => {
+    chip.addEventListener('click', () => { view.key = chip.dataset.key; render(); });
+  });
+  bar.querySelector('select').addEventListener('change', e => {
+    if (!e.target.value) return;
+    view.key = e.target.value;
+    render();
+  });
+  bar.querySelector('.print-chart-btn').addEventListener('click', () => {
+    printSection(`
+      <h1>${esc(song.title)}</h1>
+      <p class="print-meta">${esc(chartCaption(chart, original, view))}</p>
+      ${document.getElementById('modal-chart').innerHTML}`);
+  });
+
+  render();
+}
+
+/** Première tonalité d'une cellule ("G > A" → G), ou null. */
+function firstKey(text) {
+  return parseKeyText(text)?.[0] || null;
+}
+
+/**
+ * Tonalité cible d'un choix ("G" d'une puce ou de la liste) : une chanson en
+ * mineur reste en mineur (G → Gm, Db → C#m).
+ */
+function targetKey(name, original) {
+  const key = parseKey(name);
+  return key && original?.minor && !key.minor ? normalizeKey(parseKey(name + 'm')) : key;
+}
+
+/** Grille telle qu'affichée pour la notation et la tonalité choisies. */
+function displayedChart(chart, original, view) {
+  if (view.notation !== 'letter') return renumberChart(chart, original, view.notation);
+  return chart.notation === 'letter' && !original ? chart : transposeChart(chart, original, targetKey(view.key, original));
+}
+
+/** Légende imprimée sous le titre : "Nashville (tonalité originale : G)", "Accords en Bb"… */
+function chartCaption(chart, original, view) {
+  const reference = original ? ` (tonalité originale : ${displayKey(keyName(original))})` : '';
+  if (view.notation !== 'letter') return NOTATION_LABELS[view.notation] + reference;
+  if (chart.notation === 'letter' && !original) return 'Accords';
+  return `Accords en ${displayKey(keyName(targetKey(view.key, original)))}${reference}`;
+}
+
+/**
+ * Génère la grille d'accords : une ligne par section, les mesures entre barres.
+ * Les accords non reconnus sont signalés ; sans aucun accord lisible, le
+ * texte brut est affiché tel quel.
+ * @param {Object|undefined} chart - state.progressionCharts[clé]
+ * @param {string} text - Texte brut de la progression
+ * @returns {string} HTML
+ */
+export function chartBlock(chart, text) {
+  const filled = (chart?.sections || []).filter(s => s.bars.length);
+  if (!filled.length) return `<div class="progression-block">${esc(text)}</div>`;
+
+  return `
+    <div class="progression-block chart">
+      ${filled.map(section => `
+        <div class="chart-section">
+          <span class="chart-label">${esc(section.label || '')}</span>
+          <span class="chart-bars">
+            ${section.bars.map(bar => `
+              <span class="chart-bar">
+                ${bar.chords.map(chord => chord.unparsed
+                  ? `<span class="chart-chord unparsed" title="Accord non reconnu">${esc(chord.text)}</span>`
+                  : `<span class="chart-chord">${esc(formatChord(chord))}</span>`).join('')}
+                ${bar.repeat > 1 ? `<span class="chart-repeat">×${bar.repeat}</span>` : ''}
+              </span>`).join('')}
+          </span>
+        </div>`).join('')}
+    </div>`;
+}
+
+/**
+ * Génère la tonalité d'un membre. Si les sections d'une chanson fusionnée
+ * ne s'accordent pas, chaque valeur est affichée avec sa section.
+ * @param {Object} song
+ * @param {string} member
+ * @param {string} key
+ * @returns {string} HTML
+ */
+function keyItem(song, member, key) {
+  const conflict = song.keyConflicts?.[member];
+  const title    = conflict ? conflict.map(c => `${c.section} : ${displayKey(c.key)}`).join(' · ') : '';
+  return `
+    <div class="key-item${conflict ? ' conflict' : ''}"${conflict ? ` title="${esc(title)}"` : ''}>
+      <span class="key-item-name">${esc(member)}</span>
+      <span class="key-item-value">${conflict ? '⚠ ' + esc(conflict.map(c => displayKey(c.key)).join(' / ')) : esc(displayKey(key))}</span>
+    </div>`;
+}
+
+/**
+ * Meilleure tonalité de chaque chanteur dont la tessiture est connue,
+ * ceux qui ont une tonalité notée pour la chanson en premier.
+ * @param {Object} song
+ * @returns {Object[]} { name, best, recorded, mismatch }
+ */
+function voiceFits(song) {
+  return Object.entries(state.vocalRanges)
+    .map(([name, vocalRange]) => {
+      const memberKey = findPersonKeyByName(song.memberKeys, name);
+      const fit = songFit(song, vocalRange, memberKey ? song.memberKeys[memberKey] : '');
+      return fit && { name, ...fit };
+    })
+    .filter(Boolean)
+    .sort((a, b) => !!b.recorded - !!a.recorded);
+}
+
+/**
+ * Génère la tonalité suggérée d'un chanteur et son score. Une tonalité notée
+ * qui semble hors de sa tessiture est signalée (⚠ notée → suggérée).
+ * @param {Object} fit - Élément de voiceFits()
+ * @returns {string} HTML
+ */
+function fitItem({ name, best, recorded, mismatch }) {
+  const title = `Suggérée : ${displayKey(best.key)}, de ${noteName(best.low)} à ${noteName(best.high)} (score ${best.score})`
+    + (recorded ? ` · Notée : ${displayKey(recorded.key)} (score ${recorded.score})` : '');
+  const value = mismatch
+    ? `⚠ ${esc(displayKey(recorded.key))} → ${esc(displayKey(best.key))}`
+    : esc(displayKey(best.key));
+  return `
+    <div class="key-item${mismatch ? ' conflict' : ''}" title="${esc(title)}">
+      <span class="key-item-name">${esc(name)}</span>
+      <span class="key-item-value">${value}
+        <span class="fit-score fit-${fitLevel(best.score)}">${best.score}</span></span>
+    </div>`;
+}
@@ -0,0 +1,151 @@
+/**
+ * PACKET.JS — Carnet imprimable d'une setlist (pupitres des musiciens)
+ *
+ * Pour chaque chanson, dans l'ordre du culte : titre, section, lead,
+ * tonalité jouée, musiciens, voix (vocal-parts.js) et grille d'accords
+ * transposée dans cette tonalité (mêmes grilles que le modal). Deux mises en page :
+ *  - 'pages'    : une page par chanson
+ *  - 'overview' : vue d'ensemble compacte sur une page
+ *
+ * Imprimé via print.js ; la mise en page est dans css/print.css.
+ */
+
+import { state }                 from './state.js';
+import { SERVICE_SECTIONS }      from './setlists.js';
+import { playedKey }             from './transitions.js';
+import { musicianLabel }         from './instruments.js';
+import { transposeChart }        from './chords.js';
+import { parseKeyText, keyName } from './keys.js';
+import { displayKey }            from './prefs.js';
+import { chartBlock }            from './modal.js';
+import { songParts, partSingers, partsContext } from './vocal-parts.js';
+import { esc, formatDate, findKeyByName } from './utils.js';
+
+
+/**
+ * HTML du carnet d'une setlist, prêt pour printSection().
+ *
+ * @param {Object} setlist
+ * @param {'pages'|'overview'} [layout]
+ * @returns {string} HTML
+ */
+export function buildSetlistPacket(setlist, layout = 'pages') {
+  const songs = packetSongs(setlist);
+  const title = formatDate(setlist.date) + (setlist.title ? ` — ${setlist.title}` : '');
+  const band  = Object.values(setlist.band).filter(Boolean).map(musicianLabel);
+
+  return layout === 'overview'
+    ? buildOverview(title, band, songs)
+    : songs.map((entry, i) => buildSongPage(title, entry, i, songs.length)).join('');
+}
+
+/**
+ * Chansons de la setlist dans l'ordre du culte, avec la tonalité jouée,
+ * les musiciens et la grille à imprimer.
+ * @returns {Object[]} { item, song, key, musicians, voices, caption, chart }
+ */
+function packetSongs(setlist) {
+  const band  = Object.values(setlist.band).filter(Boolean);
+  const parts = partsContext(setlist);
+
+  return SERVICE_SECTIONS
+    .flatMap(section => setlist.items.filter(item => item.section === section))
+    .map(item => ({ item, song: state.songs.find(s => s.id === item.songId) }))
+    .filter(({ song }) => song)
+    .map(({ item, song }) => {
+      const key = playedKey(song, item.key, item.lead);
+      // Musiciens du jour, à défaut ceux assignés à la chanson dans le classeur
+      const musicians = (band.length ? band : Object.keys(song.musicians).filter(m => song.musicians[m]))
+        .map(musicianLabel);
+      return { item, song, key, musicians, voices: packetVoices(item.lead, parts), ...packetChart(song, key) };
+    });
+}
+
+/** Voix finales : "Soprano : Dorcas · Alto 1 : Furah, Vany · …" (vide sans groupe vocal) */
+function packetVoices(lead, context) {
+  const arrangement = songParts(lead, context);
+  if (!arrangement) return '';
+  return arrangement.parts
+    .map(part => ({ part: part.part, names: partSingers(part) }))
+    .filter(({ names }) => names.length)
+    .map(({ part, names }) => `${part} : ${names.join(', ')}`)
+    .join(' · ');
+}
+
+/**
+ * Grille transposée dans la tonalité jouée (sa première tonalité en cas de
+ * modulation). Sans tonalité originale, une grille en lettres reste telle quelle.
+ * @returns {{ caption: string, chart: string }} chart : HTML (vide sans progression)
+ */
+function packetChart(song, key) {
+  const progKey = findKeyByName(state.progressions, song.title);
+  const text    = progKey ? state.progressions[progKey] : '';
+  if (!text) return { caption: '', chart: '' };
+
+  const chart    = state.progressionCharts[progKey];
+  const target   = parseKeyText(key)?.[0] || null;
+  const original = parseKeyText(song.originalKey)?.[0] || null;
+
+  if (!chart?.notation || !target || (chart.notation === 'letter' && !original)) {
+    return { caption: 'Grille telle que notée', chart: chartBlock(chart, text) };
+  }
+  const reference = original ? ` (tonalité originale : ${displayKey(keyName(original))})` : '';
+  return {
+    caption: `Accords en ${displayKey(keyName(target))}${reference}`,
+    chart:   chartBlock(transposeChart(chart, original, target), text),
+  };
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MISES EN PAGE
+// ─────────────────────────────────────────────────────────────────────────────
+
+function buildSongPage(title, { item, song, key, musicians, voices, caption, chart }, index, total) {
+  return `
+    <section class="packet-page">
+      <p class="packet-running">${esc(title)} · ${index + 1}/${total}</p>
+      <h1>${esc(song.title)}</h1>
+      <dl class="packet-meta">
+        ${packetField('Section', item.section)}
+        ${packetField('Lead', item.lead)}
+        ${packetField('Tonalité', displayKey(key))}
+        ${packetField('Musiciens', musicians.join(', '))}
+        ${packetField('Voix', voices)}
+      </dl>
+      ${chart ? `<p class="print-meta">${esc(caption)}</p>${chart}` : '<p class="print-meta">Pas de progression notée</p>'}
+    </section>`;
+}
+
+function buildOverview(title, band, songs) {
+  return `
+    <section class="packet-overview">
+      <h1>${esc(title)}</h1>
+      ${band.length ? `<p class="print-meta">Musiciens : ${esc(band.join(', '))}</p>` : ''}
+      <table class="packet-table">
+        <thead><tr><th>#</th><th>Section</th><th>Chanson</th><th>Lead</th><th>Tonalité</th></tr></thead>
+        <tbody>
+          ${songs.map(({ item, song, key }, i) => `
+            <tr>
+              <td>${i + 1}</td>
+              <td>${esc(item.section)}</td>
+              <td>${esc(song.title)}</td>
+              <td>${esc(item.lead || '—')}</td>
+              <td>${esc(displayKey(key) || '—')}</td>
+            </tr>`).join('')}
+        </tbody>
+      </table>
+      <div class="packet-charts">
+        ${songs.filter(s => s.chart).map(({ song, caption, chart }) => `
+          <div class="packet-chart">
+            <h2>${esc(song.title)}</h2>
+            <p class="print-meta">${esc(caption)}</p>
+            ${chart}
+          </div>`).join('')}
+      </div>
+    </section>`;
+}
+
+function packetField(label, value) {
+  return value ? `<div><dt>${esc(label)}</dt><dd>${esc(value)}</dd></div>` : '';
+}
@@ -7,11 +7,21 @@
  *  3. La normalisation des données pour chaque type de feuille
  *
  * Toutes les fonctions retournent un objet { songs, members, progressions,
- * vocalRanges, vocalGroups, tasks } qui est ensuite passé à setData().
+ * vocalRanges, vocalGroups, tasks, diagnostics } qui est ensuite passé à setData().
+ *
+ * `diagnostics` décrit ce que le parser a ignoré ou n'a pas su lire (feuilles
+ * non reconnues, lignes sautées, dates illisibles, en-têtes inconnus, GIDs en
+ * échec ou remplacés par leur copie en cache, tonalités et accords non
+ * reconnus) ; il est affiché dans le "Rapport d'import" (report.js).
  */
 
-import { SINGERS } from './config.js';
 import { normalizePersonName } from './utils.js';
+import { parseSingerHeader, parseMusicianHeader, musicianInfo } from './instruments.js';
+import { assignSongIds, normalizeTitle } from './song-ids.js';
+import { mergeDuplicateSongs } from './song-merge.js';
+import { parseChart } from './chords.js';
+import { parseKeyText } from './keys.js';
+import { fetchSheetsCsv } from './sheets-loader.js';
 
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -23,36 +33,101 @@ import { normalizePersonName } from './utils.js';
  * Utilise la librairie SheetJS (XLSX) disponible globalement via CDN.
  *
  * @param {ArrayBuffer} arrayBuffer - Contenu du fichier .xlsx
+ * @param {Object} [options]
+ * @param {Object} [options.mappings] - Correspondances de colonnes enregistrées
+ *                                      (voir mapping.js), indexées par signature
  * @returns {Object} - Données normalisées { songs, members, ... }
  */
-export function parseXLSX(arrayBuffer) {
-  const wb = window.XLSX.read(arrayBuffer, { type: 'array', cellDates: true });
-  return parseWorkbook(wb);
+export function parseXLSX(arrayBuffer, options = {}) {
+  return parseWorkbook(readWorkbook(arrayBuffer), options);
+}
+
+/**
+ * Lit un fichier Excel sans le parser (utile pour inspecter les en-têtes
+ * avant de lancer l'import complet).
+ *
+ * @param {ArrayBuffer} arrayBuffer
+ * @returns {Object} - Workbook SheetJS
+ */
+export function readWorkbook(arrayBuffer) {
+  return window.XLSX.read(arrayBuffer, { type: 'array', cellDates: true });
 }
 
 /**
  * Orchestre le parsing de toutes les feuilles du classeur Excel.
  * @param {Object} wb - Workbook SheetJS
+ * @param {Object} [options] - Voir parseXLSX()
  * @returns {Object}
  */
-function parseWorkbook(wb) {
-  const data = makeEmptyData();
+export function parseWorkbook(wb, options = {}) {
+  const data = makeEmptyData('xlsx');
 
   wb.SheetNames.forEach(name => {
     const type = getSheetType(name);
-    if (!type) return; // feuille ignorée (Old_Style_*, etc.)
+    if (!type) {
+      // feuille ignorée (Old_Style_*, etc.)
+      data.diagnostics.ignoredSheets.push(name);
+      return;
+    }
+
+    processSheet(sheetRows(wb, name), canonicalSheetName(name, type), type, data, options);
+  });
+
+  return finalizeData(data);
+}
 
-    // Convertit la feuille en tableau de tableaux (header:1 = première ligne comme index 0)
-    const rows = window.XLSX.utils.sheet_to_json(wb.Sheets[name], {
-      header: 1,
-      raw: false,    // tout en string (évite les nombres bruts pour les dates)
-      defval: '',    // cellule vide = chaîne vide
+/**
+ * Retourne les en-têtes détectés de chaque feuille de chansons du classeur,
+ * avec la correspondance de colonnes proposée par detectColumns().
+ * Sert de base à l'assistant de correspondance (mapping.js).
+ *
+ * @param {Object} wb - Workbook SheetJS
+ * @returns {Array<{ section: string, signature: string, headers: string[],
+ *                   sample: string[], detected: Object }>}
+ */
+export function inspectSongSheets(wb) {
+  return wb.SheetNames
+    .filter(name => getSheetType(name) === 'songs')
+    .map(name => {
+      const rows      = sheetRows(wb, name);
+      const section   = canonicalSheetName(name, 'songs');
+      const headerIdx = findSongHeaderRow(rows);
+      const headers   = songSheetHeaders(rows, headerIdx);
+      const sample    = (rows.slice(headerIdx + 1).find(r => String(r[0] || '').trim()) || [])
+        .map(cell => String(cell || '').replace(/\s+/g, ' ').trim());
+
+      return {
+        section,
+        signature: headerSignature(section, headers),
+        headers,
+        sample,
+        detected: detectColumns(headers),
+      };
     });
+}
 
-    processSheet(rows, canonicalSheetName(name, type), type, data);
-  });
+/**
+ * Signature d'une feuille de chansons : section + en-têtes normalisés.
+ * Deux imports du même classeur (mêmes colonnes) produisent la même signature,
+ * ce qui permet de réutiliser la correspondance enregistrée.
+ *
+ * @param {string}   section
+ * @param {string[]} headers
+ * @returns {string}
+ */
+export function headerSignature(section, headers) {
+  return `${section}|${headers.map(h => h.toLowerCase()).join('|')}`;
+}
 
-  return data;
+/**
+ * Convertit une feuille en tableau de tableaux (header:1 = première ligne comme index 0).
+ */
+function sheetRows(wb, name) {
+  return window.XLSX.utils.sheet_to_json(wb.Sheets[name], {
+    header: 1,
+    raw: false,    // tout en string (évite les nombres bruts pour les dates)
+    defval: '',    // cellule vide = chaîne vide
+  });
 }
 
 
@@ -62,27 +137,26 @@ function parseWorkbook(wb) {
 
 /**
  * Charge et parse plusieurs feuilles depuis Google Sheets (format CSV public).
+ * Les feuilles sont téléchargées en parallèle (voir sheets-loader.js) puis
+ * parsées dans l'ordre de `gids`.
  *
  * @param {string} spreadsheetId - ID du Google Spreadsheet
  * @param {Object} gids - { 'Entrée': '123', 'S-E': '456', ... }
+ * @param {Object} [options] - Voir parseXLSX() et fetchSheetsCsv()
+ *                             (onProgress, timeoutMs, retries, fallbackToCache)
  * @returns {Promise<Object>} - Données normalisées
  */
-export async function parseGoogleSheets(spreadsheetId, gids) {
-  const data = makeEmptyData();
-
-  for (const [sheetName, gid] of Object.entries(gids)) {
-    if (!gid) continue; // GID vide = feuille optionnelle non configurée
-
-    const url = `https://docs.google.com/spreadsheets/d/${spreadsheetId}/export?format=csv&gid=${gid}`;
-
-    let csv;
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      csv = await response.text();
-    } catch (err) {
-      console.warn(`[Parser] Impossible de charger la feuille "${sheetName}" (GID ${gid}) :`, err.message);
-      continue;
+export async function parseGoogleSheets(spreadsheetId, gids, options = {}) {
+  const data    = makeEmptyData('sheets');
+  const results = await fetchSheetsCsv(spreadsheetId, gids, options);
+
+  results.forEach(({ sheet: sheetName, gid, status, csv, error, fetchedAt }) => {
+    if (status === 'failed') {
+      data.diagnostics.failedGids.push({ sheet: sheetName, gid, error });
+      return;
+    }
+    if (status === 'cached') {
+      data.diagnostics.cachedSheets.push({ sheet: sheetName, gid, error, fetchedAt });
     }
 
     // Papa.parse est disponible globalement via CDN
@@ -90,10 +164,11 @@ export async function parseGoogleSheets(spreadsheetId, gids) {
     const rows   = parsed.data;
 
     const type = getSheetType(sheetName);
-    if (type) processSheet(rows, canonicalSheetName(sheetName, type), type, data);
-  }
+    if (type) processSheet(rows, canonicalSheetName(sheetName, type), type, data, options);
+    else data.diagnostics.ignoredSheets.push(sheetName);
+  });
 
-  return data;
+  return finalizeData(data);
 }
 
 
@@ -102,17 +177,56 @@ export async function parseGoogleSheets(spreadsheetId, gids) {
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
- * Dispatche les lignes brutes vers le bon parseur selon le type de feuille.
+ * Dispatche les lignes brutes vers le bon parseur selon le type de feuille,
+ * et consigne le bilan de la feuille dans les diagnostics.
  */
-function processSheet(rows, sheetName, type, data) {
+function processSheet(rows, sheetName, type, data, options = {}) {
+  const before  = countEntries(data, type);
+  const skipped = data.diagnostics.skippedRows.length;
+  let candidates = null; // lignes candidates, si le parseur sait les compter
+
   switch (type) {
-    case 'songs':        parseSongSheet(rows, sheetName, data);  break;
+    case 'songs':        candidates = parseSongSheet(rows, sheetName, data, options.mappings); break;
     case 'progressions': parseProgressions(rows, data);          break;
     case 'members':      parseMembers(rows, data);               break;
     case 'vocalRange':   parseVocalRange(rows, data);            break;
     case 'vocalGroups':  parseVocalGroups(rows, data);           break;
     case 'tasks':        parseTasks(rows, data);                 break;
   }
+
+  data.diagnostics.sheets.push({
+    name:    sheetName,
+    type,
+    rows:    candidates ?? rows.filter(row => (row || []).some(cell => String(cell || '').trim())).length,
+    parsed:  countEntries(data, type) - before,
+    skipped: data.diagnostics.skippedRows.length - skipped,
+  });
+}
+
+/** Nombre d'éléments produits pour un type de feuille (pour le bilan). */
+function countEntries(data, type) {
+  switch (type) {
+    case 'songs':        return data.songs.length;
+    case 'progressions': return Object.keys(data.progressions).length;
+    case 'members':      return data.members.length;
+    case 'vocalRange':   return Object.keys(data.vocalRanges).length;
+    case 'vocalGroups':  return Object.keys(data.vocalGroups).length;
+    case 'tasks':        return Object.keys(data.tasks).length;
+    default:             return 0;
+  }
+}
+
+
+/**
+ * Traitements communs une fois toutes les feuilles lues :
+ * fusion des chansons présentes dans plusieurs sections, puis identifiants.
+ * @param {Object} data
+ * @returns {Object} data
+ */
+function finalizeData(data) {
+  data.songs = mergeDuplicateSongs(data.songs, data.diagnostics);
+  assignSongIds(data.songs);
+  return data;
 }
 
 
@@ -120,6 +234,11 @@ function processSheet(rows, sheetName, type, data) {
 // PARSEUR FEUILLES DE CHANSONS (Entrée, S-E, Louange, Adoration)
 // ─────────────────────────────────────────────────────────────────────────────
 
+// Lignes de synthèse sous les chansons : nombre de chansons par langue
+// ("ENGLISH", "20", "35.09%"…). Ce ne sont pas des chansons.
+const SUMMARY_LABELS = ['english', 'anglais', 'francais', 'french', 'lingala', 'total'];
+const SUMMARY_NUMBER = /^[\d\s.,]+%?$/;
+
 /**
  * Parse une feuille de chansons (structure commune aux 4 sections).
  *
@@ -131,33 +250,44 @@ function processSheet(rows, sheetName, type, data) {
  * @param {Array[]} rows - Tableau de lignes (chaque ligne = tableau de cellules)
  * @param {string}  section - Nom de la section ('Entrée', 'S-E', etc.)
  * @param {Object}  data - Objet de données à mutater
+ * @param {Object}  [mappings] - Correspondances enregistrées { signature: { cols } }
+ * @returns {number} - Nombre de lignes avec un titre (parsées ou ignorées)
  */
-function parseSongSheet(rows, section, data) {
-  // ── Trouver la ligne d'en-têtes ──
-  // On cherche la ligne dont la première cellule contient "song" ou "chanson"
-  let headerIdx = 1; // valeur par défaut
-  for (let i = 0; i < Math.min(rows.length, 6); i++) {
-    const cell = String(rows[i][0] || '').toLowerCase();
-    if (cell.includes('song') || cell.includes('chanson') || cell.includes('titre')) {
-      headerIdx = i;
-      break;
-    }
-  }
-
-  const headers = rows[headerIdx].map(h => String(h || '').replace(/\n/g, ' ').trim());
+function parseSongSheet(rows, section, data, mappings = {}) {
+  const headerIdx = findSongHeaderRow(rows);
+  const headers   = songSheetHeaders(rows, headerIdx);
 
   // ── Détecter les indices de colonnes ──
-  const cols = detectColumns(headers);
+  // Une correspondance confirmée dans l'assistant prime sur la détection automatique.
+  const saved = mappings[headerSignature(section, headers)];
+  const cols  = saved ? saved.cols : detectColumns(headers);
+
+  reportUnusedHeaders(headers, cols, section, data.diagnostics);
+  collectPerformers(cols, data.performers);
 
   // ── Parser chaque ligne de chanson ──
+  let candidates = 0;
   for (let r = headerIdx + 1; r < rows.length; r++) {
     const row = rows[r];
     const rawTitle = String(row[cols.title] || '').trim();
-    if (!rawTitle || rawTitle.length < 2) continue;
+    if (!rawTitle) continue; // ligne vide : rien à signaler
+    candidates++;
+
+    if (rawTitle.length < 2) {
+      reportSkippedRow(data, section, r, 'Titre trop court', rawTitle);
+      continue;
+    }
+    if (SUMMARY_NUMBER.test(rawTitle) || SUMMARY_LABELS.includes(normalizeTitle(rawTitle))) {
+      reportSkippedRow(data, section, r, 'Ligne de synthèse (langues, totaux)', rawTitle);
+      continue;
+    }
 
     // "Titre de chanson: Tonalité" → { title: 'Titre', originalKey: 'Tonalité' }
     const { title, originalKey } = parseTitleKey(rawTitle);
-    if (!title) continue;
+    if (!title) {
+      reportSkippedRow(data, section, r, 'Titre vide avant la tonalité', rawTitle);
+      continue;
+    }
 
     // Tonalités par membre (colonnes avec "Key" dans l'en-tête)
     const memberKeys = {};
@@ -166,6 +296,13 @@ function parseSongSheet(rows, section, data) {
       if (val && val !== '0' && val !== '-') memberKeys[member] = val;
     });
 
+    // Tonalités illisibles : gardées telles quelles mais signalées (keys.js)
+    [[null, originalKey], ...Object.entries(memberKeys)].forEach(([member, value]) => {
+      if (value && !parseKeyText(value)) {
+        data.diagnostics.invalidKeys.push({ sheet: section, row: r + 1, title, member, value });
+      }
+    });
+
     // Musiciens assignés (colonne avec 'x' ou 'X')
     const musicians = {};
     Object.entries(cols.musicians).forEach(([key, colIdx]) => {
@@ -175,14 +312,17 @@ function parseSongSheet(rows, section, data) {
 
     // Date de dernière utilisation
     let lastSang = null;
-    if (cols.lastSang >= 0 && row[cols.lastSang]) {
-      const d = new Date(row[cols.lastSang]);
-      if (!isNaN(d.getTime())) lastSang = d.toISOString().split('T')[0];
+    const rawDate = cols.lastSang >= 0 ? String(row[cols.lastSang] || '').trim() : '';
+    if (rawDate) {
+      lastSang = parseSheetDate(rawDate);
+      if (!lastSang) {
+        data.diagnostics.invalidDates.push({ sheet: section, row: r + 1, title, value: rawDate });
+      }
     }
 
     const song = {
-      // Identifiant unique pour ce tableau
-      id: `${section}_${r}`,
+      // Identifiant stable (section + titre), attribué par finalizeData()
+      id: null,
 
       title,
       originalKey,
@@ -207,12 +347,41 @@ function parseSongSheet(rows, section, data) {
 
     data.songs.push(song);
   }
+
+  return candidates;
+}
+
+/**
+ * Trouve la ligne d'en-têtes d'une feuille de chansons : la première ligne
+ * dont la première cellule contient "song", "chanson" ou "titre".
+ *
+ * @param {Array[]} rows
+ * @returns {number}
+ */
+function findSongHeaderRow(rows) {
+  for (let i = 0; i < Math.min(rows.length, 6); i++) {
+    const cell = String(rows[i][0] || '').toLowerCase();
+    if (cell.includes('song') || cell.includes('chanson') || cell.includes('titre')) return i;
+  }
+  return 1; // valeur par défaut
+}
+
+/**
+ * En-têtes d'une feuille de chansons, espaces et retours à la ligne normalisés.
+ */
+function songSheetHeaders(rows, headerIdx) {
+  return (rows[headerIdx] || []).map(h => String(h || '').replace(/\s+/g, ' ').trim());
 }
 
 /**
  * Détecte dynamiquement les indices de colonnes à partir des en-têtes.
  * Robuste aux variations d'ordre et de libellé entre les feuilles.
  *
+ * Les chanteurs et musiciens sont découverts dans les en-têtes eux-mêmes :
+ *  - "<Nom> Key"          → tonalités du chanteur <Nom>
+ *  - "<Nom> <Instrument>" → musicien (instrument reconnu via INSTRUMENTS)
+ * Aucune position de colonne n'est supposée.
+ *
  * @param {string[]} headers
  * @returns {Object} - Dictionnaire nom → indice
  */
@@ -229,38 +398,30 @@ function detectColumns(headers) {
     musicians: {},    // { 'Nellia Piano': 20, ... }
   };
 
+  // Premier indice dont l'en-tête vérifie `test` (les colonnes de référence
+  // ajoutées plus à droite, ex: "Progression" en col. 33, ne l'emportent pas).
+  // Les espaces sont retirés : "Progres\nsion" → "progression".
+  const first = (test) => headers.findIndex((h, i) => i > 0 && test(h.toLowerCase().replace(/\s+/g, '')));
+
+  cols.lastSang    = first(hl => hl.includes('last') || hl.includes('sang'));
+  cols.daysPast    = first(hl => hl.includes('days') || hl.includes('past'));
+  cols.creuSommet  = first(hl => hl.includes('creu') || hl.includes('sommet'));
+  cols.langue      = first(hl => hl.includes('langu'));
+  cols.lyrics      = first(hl => hl.includes('lyrc') || hl.includes('lyric'));
+  cols.progression = first(hl => hl.includes('progress'));
+
   headers.forEach((h, i) => {
-    const hl = h.toLowerCase();
-
-    if (i === 0) { cols.title = 0; return; }
-
-    // Colonnes de base
-    if (hl.includes('last') || (hl.includes('sang') && i < 5))  cols.lastSang   = i;
-    if (hl.includes('days') || hl.includes('past'))              cols.daysPast   = i;
-    if (hl.includes('creu') || hl.includes('sommet'))            cols.creuSommet = i;
-    if (hl.includes('langu'))                                     cols.langue     = i;
-    if (hl.includes('lyrc')  || hl.includes('lyric'))            cols.lyrics     = i;
-    // progression : seulement dans les 10 premières colonnes (évite faux positifs)
-    if (hl.includes('progress') && i < 10)                       cols.progression= i;
-
-    // Colonnes de tonalités des chanteurs (cols 7-20 environ)
-    if (i >= 7 && i <= 22 && hl.includes('key')) {
-      SINGERS.forEach(singer => {
-        // Cherche le premier mot du nom dans l'en-tête
-        const firstWord = singer.split(' ')[0].toLowerCase();
-        if (hl.includes(firstWord) && !cols.memberKeys[singer]) {
-          cols.memberKeys[singer] = i;
-        }
-      });
+    if (i === 0) return;
+
+    const singer = parseSingerHeader(h);
+    if (singer) {
+      if (cols.memberKeys[singer] == null) cols.memberKeys[singer] = i;
+      return;
     }
 
-    // Colonnes musiciens (piano, drum, bass, guitar) — cols 19-29 environ
-    if (i >= 19 && (hl.includes('piano') || hl.includes('drum') || hl.includes('bass') || hl.includes('guitar'))) {
-      const parts = h.split(/\s+/).filter(Boolean);
-      if (parts.length >= 2) {
-        const key = `${parts[0]} ${parts[1]}`;
-        cols.musicians[key] = i;
-      }
+    const musician = parseMusicianHeader(h);
+    if (musician && cols.musicians[musician.key] == null) {
+      cols.musicians[musician.key] = i;
     }
   });
 
@@ -290,6 +451,109 @@ function parseTitleKey(raw) {
 }
 
 
+const MONTHS = {
+  jan: 1, janv: 1, feb: 2, fev: 2, fevr: 2, mar: 3, mars: 3, apr: 4, avr: 4,
+  may: 5, mai: 5, jun: 6, juin: 6, jul: 7, juil: 7, aug: 8, aou: 8, sep: 9,
+  sept: 9, oct: 10, nov: 11, dec: 12,
+  // Noms complets (saisie à la main, exports CSV de Google Sheets)
+  january: 1, janvier: 1, february: 2, fevrier: 2, march: 3, april: 4, avril: 4,
+  june: 6, july: 7, juillet: 7, august: 8, aout: 8, september: 9, septembre: 9,
+  october: 10, octobre: 10, november: 11, novembre: 11, december: 12, decembre: 12,
+};
+
+/**
+ * Convertit une date telle qu'affichée dans le classeur en date ISO.
+ * Formats reconnus : "2025-01-15", "Jan/25" ou "January 2025" (mois/année),
+ * "1/26" (mois/année), "1/15/25" ou "1/15/2025" (format US de SheetJS),
+ * "15-Jan-25" ou "15 janvier 2025" (jour-mois-année), "January 15, 2025".
+ *
+ * @param {string} raw
+ * @returns {string|null} - "YYYY-MM-DD" (1er du mois si le jour manque), ou null si illisible
+ */
+function parseSheetDate(raw) {
+  const text = String(raw).trim();
+  const year = (y) => (y.length === 2 ? 2000 + Number(y) : Number(y));
+  const iso  = (y, m, d) => {
+    if (m < 1 || m > 12 || d < 1 || d > 31 || y < 1990 || y > 2100) return null;
+    return `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+  };
+
+  let m = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m) return iso(Number(m[1]), Number(m[2]), Number(m[3]));
+
+  const month = (name) => MONTHS[normalizeSheetName(name)];
+
+  m = text.match(/^([A-Za-zÀ-ÿ]+)\.?[\/\s\-](\d{2}|\d{4})$/);
+  if (m) return month(m[1]) ? iso(year(m[2]), month(m[1]), 1) : null;
+
+  m = text.match(/^(\d{1,2})[\s\-\/]([A-Za-zÀ-ÿ]+)\.?[\s\-\/](\d{2}|\d{4})$/);
+  if (m) return month(m[2]) ? iso(year(m[3]), month(m[2]), Number(m[1])) : null;
+
+  m = text.match(/^([A-Za-zÀ-ÿ]+)\.?\s+(\d{1,2}),?\s+(\d{4})$/);
+  if (m) return month(m[1]) ? iso(year(m[3]), month(m[1]), Number(m[2])) : null;
+
+  m = text.match(/^(\d{1,2})\/(\d{2}|\d{4})$/);
+  if (m) return iso(year(m[2]), Number(m[1]), 1);
+
+  m = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+  if (m) return iso(year(m[3]), Number(m[1]), Number(m[2]));
+
+  return null;
+}
+
+/**
+ * Ajoute les chanteurs et musiciens d'une feuille à data.performers
+ * (y compris ceux qui n'ont encore aucune chanson).
+ */
+function collectPerformers(cols, performers) {
+  Object.keys(cols.memberKeys).forEach(name => {
+    if (!performers.singers.includes(name)) performers.singers.push(name);
+  });
+  Object.keys(cols.musicians).forEach(key => {
+    if (!performers.musicians.some(m => m.key === key)) {
+      performers.musicians.push({ key, ...musicianInfo(key) });
+    }
+  });
+}
+
+/**
+ * Consigne les en-têtes non exploités d'une feuille de chansons :
+ *  - colonnes "… Key" (ou situées parmi les tonalités) sans chanteur reconnu
+ *  - autres en-têtes non vides sans rôle
+ */
+function reportUnusedHeaders(headers, cols, section, diagnostics) {
+  const used = new Set([
+    cols.title, cols.lastSang, cols.daysPast, cols.creuSommet, cols.langue,
+    cols.lyrics, cols.progression,
+    ...Object.values(cols.memberKeys),
+    ...Object.values(cols.musicians),
+  ]);
+
+  // Zone des tonalités : entre la première et la dernière colonne "<Nom> Key"
+  const keyCols = Object.values(cols.memberKeys);
+  const inKeyZone = (col) => keyCols.length > 0
+    && col > Math.min(...keyCols) && col < Math.max(...keyCols);
+
+  headers.forEach((header, col) => {
+    if (!header || used.has(col)) return;
+    const entry = { sheet: section, col, header };
+    // "Title: Original Key" & co. ne sont pas des colonnes de chanteur ;
+    // un nom seul au milieu des tonalités (ex: "Voldie" sans "Key") en est une.
+    const isSingerLike = (/\bkey\b/i.test(header) && !/(title|titre|song|orig)/i.test(header))
+      || inKeyZone(col);
+    if (isSingerLike) diagnostics.unmatchedSingerColumns.push(entry);
+    else diagnostics.unknownHeaders.push(entry);
+  });
+}
+
+/**
+ * Consigne une ligne ignorée (numéro de ligne tel qu'affiché dans le tableur).
+ */
+function reportSkippedRow(data, sheet, rowIdx, reason, value) {
+  data.diagnostics.skippedRows.push({ sheet, row: rowIdx + 1, reason, value });
+}
+
+
 // ─────────────────────────────────────────────────────────────────────────────
 // PARSEUR PROGRESSIONS D'ACCORDS
 // ─────────────────────────────────────────────────────────────────────────────
@@ -305,10 +569,15 @@ function parseProgressions(rows, data) {
   let currentTitle = null;
   let currentLines = [];
 
-  // Sauvegarde la progression courante dans data
+  // Sauvegarde la progression courante dans data (texte brut : le modèle
+  // structuré est recalculé par setData, seuls les accords illisibles sont notés)
   const save = () => {
     if (currentTitle && currentLines.length) {
-      data.progressions[currentTitle.toLowerCase()] = currentLines.join('\n');
+      const text = currentLines.join('\n');
+      data.progressions[currentTitle.toLowerCase()] = text;
+
+      const { unparsed } = parseChart(text);
+      if (unparsed.length) data.diagnostics.unparsedChords.push({ title: currentTitle, tokens: unparsed });
     }
   };
 
@@ -428,16 +697,18 @@ function parseVocalRange(rows, data) {
   const countNames = (row) => (row || []).filter(isMemberName).length;
 
   // Cherche la meilleure ligne de noms juste au-dessus de "Voice Type".
+  // À égalité, la plus proche l'emporte : avec un seul chanteur, un titre
+  // placé plus haut ("Vocal Range") compte autant de "noms" que sa ligne.
   let nameRowIdx = -1;
-  let bestScore = -1;
+  let bestScore = 0;
   for (let i = Math.max(0, typeRowIdx - 6); i < typeRowIdx; i++) {
     const score = countNames(getRow(i));
-    if (score > bestScore) {
+    if (score && score >= bestScore) {
       bestScore = score;
       nameRowIdx = i;
     }
   }
-  if (nameRowIdx < 0 || bestScore < 2) return;
+  if (nameRowIdx < 0) return;
 
   const findMetricRowIdx = (labelRe) => {
     // Priorité: lignes après "Voice Type"
@@ -598,8 +869,10 @@ function parseTasks(rows, data) {
 /**
  * Crée un objet de données vide avec toutes les clés attendues.
  * Utilisé comme point de départ pour chaque parsing.
+ *
+ * @param {'xlsx'|'sheets'} source - Origine des données (pour le rapport d'import)
  */
-function makeEmptyData() {
+function makeEmptyData(source) {
   return {
     songs: [],
     members: [],
@@ -607,6 +880,23 @@ function makeEmptyData() {
     vocalRanges: {},
     vocalGroups: {},
     tasks: {},
+    performers: { singers: [], musicians: [] }, // découverts dans les en-têtes
+    diagnostics: {
+      source,
+      importedAt: new Date().toISOString(),
+      sheets: [],                 // { name, type, rows, parsed, skipped }
+      ignoredSheets: [],          // noms des feuilles non reconnues
+      skippedRows: [],            // { sheet, row, reason, value }
+      invalidDates: [],           // { sheet, row, title, value }
+      unknownHeaders: [],         // { sheet, col, header }
+      unmatchedSingerColumns: [], // { sheet, col, header }
+      failedGids: [],             // { sheet, gid, error }
+      cachedSheets: [],           // { sheet, gid, error, fetchedAt } (copie en cache utilisée)
+      mergedSongs: [],            // { title, sections } (chanson présente dans plusieurs feuilles)
+      keyConflicts: [],           // { title, member, values: [{ section, key }] }
+      unparsedChords: [],         // { title, tokens } (progression, voir chords.js)
+      invalidKeys: [],            // { sheet, row, title, member, value } (member null = tonalité originale)
+    },
   };
 }
 
@@ -619,7 +909,14 @@ function normalizeSheetName(name) {
     .toLowerCase();
 }
 
-function getSheetType(sheetName) {
+/**
+ * Type d'une feuille d'après son nom, ou null si la feuille n'est pas lue.
+ * Ex: "Entree" → 'songs', "Report sheet" → 'members', "Old_Style_1" → null
+ *
+ * @param {string} sheetName
+ * @returns {'songs'|'progressions'|'members'|'vocalRange'|'vocalGroups'|'tasks'|null}
+ */
+export function getSheetType(sheetName) {
   const n = normalizeSheetName(sheetName);
   if (n === 'entree' || n === 's-e' || n === 'se' || n === 'louange' || n === 'adoration') return 'songs';
   if (n === 'progression blank') return 'progressions';
@@ -630,7 +927,15 @@ function getSheetType(sheetName) {
   return null;
 }
 
-function canonicalSheetName(sheetName, type) {
+/**
+ * Nom canonique d'une feuille de chansons ("entree" → "Entrée") ; les autres
+ * feuilles gardent leur nom.
+ *
+ * @param {string} sheetName
+ * @param {string} type - Résultat de getSheetType()
+ * @returns {string}
+ */
+export function canonicalSheetName(sheetName, type) {
   if (type !== 'songs') return sheetName;
 
   const n = normalizeSheetName(sheetName);
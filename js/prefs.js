@@ -0,0 +1,48 @@
+/**
+ * PREFS.JS — Préférences d'affichage de l'utilisateur
+ *
+ * Enregistrées dans localStorage ("lwc_prefs"), donc incluses dans les
+ * sauvegardes. Pour l'instant :
+ *  - keyNotation  : tonalités en lettres (C, Bb) ou en solfège (Do, Sib)
+ *  - suggestRules : règles des setlists proposées (voir suggest.js)
+ */
+
+import { readStore, writeStore } from './storage.js';
+import { formatKeyText }         from './keys.js';
+
+const PREFS_KEY = 'lwc_prefs';
+
+const DEFAULT_PREFS = {
+  keyNotation:  'letter', // 'letter' | 'solfege'
+  suggestRules: null,     // null = SUGGESTION_RULES (config.js)
+};
+
+
+/**
+ * Valeur d'une préférence (valeur par défaut si absente).
+ * @param {string} name
+ * @returns {*}
+ */
+export function getPref(name) {
+  return { ...DEFAULT_PREFS, ...readStore(PREFS_KEY, {}) }[name];
+}
+
+/**
+ * Enregistre une préférence.
+ * @param {string} name
+ * @param {*} value
+ */
+export function setPref(name, value) {
+  writeStore(PREFS_KEY, { ...readStore(PREFS_KEY, {}), [name]: value });
+}
+
+/**
+ * Tonalité(s) telles que saisies, réécrites dans la notation préférée.
+ * Ex: "Bb" → "Sib" en solfège ; un texte illisible est rendu tel quel.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function displayKey(text) {
+  return formatKeyText(text, getPref('keyNotation'));
+}
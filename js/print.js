@@ -0,0 +1,27 @@
+/**
+ * PRINT.JS — Impression d'un extrait de l'app
+ *
+ * Le contenu à imprimer est copié dans #print-root ; css/print.css masque
+ * tout le reste de la page à l'impression. #print-root est vidé une fois
+ * l'impression terminée (ou annulée).
+ */
+
+
+/**
+ * Imprime un fragment HTML seul, sur fond blanc.
+ * @param {string} html - Contenu déjà échappé
+ */
+export function printSection(html) {
+  const root = document.getElementById('print-root');
+  if (!root) return;
+
+  root.innerHTML = html;
+  document.body.classList.add('printing');
+
+  window.addEventListener('afterprint', () => {
+    document.body.classList.remove('printing');
+    root.innerHTML = '';
+  }, { once: true });
+
+  window.print();
+}
@@ -0,0 +1,247 @@
+/**
+ * RANGE-FIT.JS — Tessiture des chanteurs et étendue des chansons
+ *
+ * Rapproche la colonne "Creu & Sommet" d'une chanson (note la plus grave,
+ * note la plus aiguë) de la tessiture de chaque chanteur (feuille Vocal Range)
+ * pour trouver les tonalités où la mélodie reste confortable.
+ *
+ * Creu & Sommet s'écrit :
+ *  - en notes : "A2 - E4", "La2 <> Mi4" (hauteurs réelles, dans la tonalité originale)
+ *  - en degrés : "5<>3" = du 5e degré sous la tonique au 3e au-dessus ;
+ *    "1" en haut désigne l'octave ("7<>1"), "v" / "^" sont facultatifs ("v4|^1")
+ *
+ * Le chanteur peut chanter la mélodie à n'importe quelle octave : seule la
+ * position dans sa voix compte (un baryton chante un chant de soprano une
+ * octave plus bas).
+ */
+
+import { parseKey, parseKeyText, keyName, normalizeKey, degreeInterval, KEY_CHOICES } from './keys.js';
+
+// "G2 - B3", "A2<>E4", "v4|^1"
+const RANGE_SEPARATOR_RE = /\s*(?:<>|\||–|-)\s*|\s+(?:à|to)\s+/i;
+const NOTE_RE            = /^(.+?)\s*(\d)$/;
+const DEGREE_RE          = /^([v<^>]?)\s*([b#♭♯]?)\s*([1-7])/i;
+
+// Pénalités par demi-ton, au-delà de la zone confortable (Prima Voce)
+const PENALTY_CHEST = 4;   // encore en voix de poitrine
+const PENALTY_HEAD  = 8;   // en voix de tête
+const PENALTY_OUT   = 15;  // hors tessiture
+
+/** Seuils de score (0 à 100) */
+export const FIT_GOOD = 85;
+export const FIT_FAIR = 60;
+
+// Tonalité notée jugée douteuse : score faible et nettement battu par une autre
+const MISMATCH_GAP = 20;
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// LECTURE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Hauteur MIDI d'une note avec octave ("C4" = 60, "Sib2", "F#3").
+ * @param {string} text
+ * @returns {number|null}
+ */
+export function parseNote(text) {
+  const m = String(text || '').trim().match(NOTE_RE);
+  const note = m && parseKey(m[1]);
+  if (!note || note.minor) return null;
+
+  // Hauteur sans modulo : Cb4 est sous C4, B#3 au niveau de C4
+  const natural = (note.pitch - note.accidental + 12) % 12;
+  return 12 * (Number(m[2]) + 1) + natural + note.accidental;
+}
+
+/**
+ * Nom d'une hauteur MIDI ("Eb4").
+ * @param {number} midi
+ * @returns {string}
+ */
+export function noteName(midi) {
+  return KEY_CHOICES[((midi % 12) + 12) % 12] + (Math.floor(midi / 12) - 1);
+}
+
+/**
+ * Étendue d'une chanson en demi-tons autour de sa tonique.
+ * Ex: "5<>3" → { low: -5, high: 4 } ; "A2 - E4" en G → { low: 2, high: 21 }
+ *
+ * @param {string} text          - Colonne Creu & Sommet
+ * @param {Object|null} original - Tonalité originale (nécessaire pour des notes)
+ * @returns {{ low: number, high: number }|null} null si illisible ou incomplet
+ */
+export function parseSongRange(text, original) {
+  const [lowText, highText] = String(text || '').trim().split(RANGE_SEPARATOR_RE);
+  if (!lowText || !highText) return null;
+
+  const lowNote  = parseNote(lowText);
+  const highNote = parseNote(highText);
+  if (lowNote != null && highNote != null) {
+    if (!original || highNote < lowNote) return null;
+    const tonic = lowNote - ((lowNote - original.pitch) % 12 + 12) % 12;
+    return { low: lowNote - tonic, high: highNote - tonic };
+  }
+
+  const low  = parseDegree(lowText);
+  const high = parseDegree(highText);
+  if (!low || !high) return null;
+
+  // Creu : au plus la tonique, sinon sous la tonique ("v1" = octave grave)
+  const lowOffset = low.interval === 0 && !low.marked ? 0 : low.interval - 12;
+  // Sommet : au-dessus de la tonique, "1" = l'octave
+  let highOffset = high.interval <= 0 ? high.interval + 12 : high.interval;
+  while (highOffset <= lowOffset) highOffset += 12;
+
+  return { low: lowOffset, high: highOffset };
+}
+
+/**
+ * Tessiture d'un chanteur (ligne de state.vocalRanges), en hauteurs MIDI.
+ * La zone confortable est Prima Voce, à défaut Low Chest → High Chest.
+ *
+ * @param {Object} vocalRange - { lowChest, highChest, headVoice, primaVoce }
+ * @returns {{ comfort: number[], low: number, chestHigh: number, top: number }|null}
+ */
+export function parseVoice(vocalRange) {
+  if (!vocalRange) return null;
+  const prima     = String(vocalRange.primaVoce || '').split(RANGE_SEPARATOR_RE).map(parseNote);
+  const lowChest  = parseNote(vocalRange.lowChest);
+  const highChest = parseNote(vocalRange.highChest);
+  const head      = parseNote(vocalRange.headVoice);
+
+  const comfort = prima.length === 2 && prima.every(n => n != null) && prima[0] < prima[1]
+    ? prima
+    : lowChest != null && highChest != null && lowChest < highChest ? [lowChest, highChest] : null;
+  if (!comfort) return null;
+
+  const chestHigh = Math.max(highChest ?? comfort[1], comfort[1]);
+  return {
+    comfort,
+    low:  Math.min(lowChest ?? comfort[0], comfort[0]),
+    chestHigh,
+    top:  Math.max(head ?? chestHigh, chestHigh),
+  };
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SCORE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Meilleure octave d'une étendue pour une tonique donnée.
+ *
+ * @param {{ low, high }} range - Voir parseSongRange()
+ * @param {Object} voice        - Voir parseVoice()
+ * @param {number} pitch        - Hauteur de la tonique (0 à 11)
+ * @returns {{ score: number, low: number, high: number }} notes extrêmes en MIDI
+ */
+export function keyFit(range, voice, pitch) {
+  const center = (voice.comfort[0] + voice.comfort[1]) / 2;
+  let best = null;
+
+  for (let tonic = pitch + 24; tonic <= 96; tonic += 12) {
+    const low   = tonic + range.low;
+    const high  = tonic + range.high;
+    const score = Math.max(0, Math.round(100 - lowPenalty(low, voice) - highPenalty(high, voice)));
+    const drift = Math.abs((low + high) / 2 - center);
+    if (!best || score > best.score || (score === best.score && drift < best.drift)) {
+      best = { score, low, high, drift };
+    }
+  }
+  return { score: best.score, low: best.low, high: best.high };
+}
+
+/**
+ * Niveau d'un score : 'good' (confortable), 'fair' (jouable), 'poor'.
+ * @param {number} score
+ * @returns {'good'|'fair'|'poor'}
+ */
+export function fitLevel(score) {
+  return score >= FIT_GOOD ? 'good' : score >= FIT_FAIR ? 'fair' : 'poor';
+}
+
+/**
+ * Tonalités d'une chanson pour un chanteur : la meilleure, et le score de
+ * la tonalité notée pour lui. Une modulation ("E > G#") élargit l'étendue.
+ * À score égal, la tonalité la plus proche de la tonalité notée (sinon
+ * originale) est préférée.
+ *
+ * @param {Object} song
+ * @param {Object} vocalRange - Ligne de state.vocalRanges
+ * @param {string} [recordedKey] - Tonalité notée pour ce chanteur
+ * @returns {{ range, best: { key, score, low, high },
+ *             recorded: { key, score, low, high }|null, mismatch: boolean }|null}
+ *          null si l'étendue ou la tessiture est illisible
+ */
+export function songFit(song, vocalRange, recordedKey) {
+  const original = parseKeyText(song.originalKey)?.[0] || null;
+  const range    = parseSongRange(song.creuSommet, original);
+  const voice    = parseVoice(vocalRange);
+  if (!range || !voice) return null;
+
+  const recordedKeys = parseKeyText(recordedKey);
+  const recorded     = recordedKeys?.[0] || null;
+  const reference    = recorded || original;
+  const minor        = !!(original || recorded)?.minor;
+
+  const candidates = KEY_CHOICES.map(name => {
+    const key = normalizeKey(parseKey(name + (minor ? 'm' : '')));
+    return { key: keyName(key), ...keyFit(range, voice, key.pitch), distance: distance(key, reference) };
+  });
+  const { key, score, low, high } = candidates
+    .sort((a, b) => b.score - a.score || a.distance - b.distance)[0];
+
+  let recordedFit = null;
+  if (recorded) {
+    // Les tonalités suivantes d'une modulation décalent l'étendue
+    const shifts = recordedKeys.map(k => signedInterval(recorded.pitch, k.pitch));
+    const shifted = { low: range.low + Math.min(...shifts), high: range.high + Math.max(...shifts) };
+    recordedFit = { key: recordedKey, ...keyFit(shifted, voice, recorded.pitch) };
+  }
+
+  return {
+    range,
+    best:     { key, score, low, high },
+    recorded: recordedFit,
+    mismatch: !!recordedFit && recordedFit.score < FIT_FAIR && score - recordedFit.score >= MISMATCH_GAP,
+  };
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** "v4" → { interval: 5, marked: true } ; "b7" → { interval: 10, marked: false } */
+function parseDegree(text) {
+  const m = text.match(DEGREE_RE);
+  if (!m) return null;
+  const accidental = /[b♭]/.test(m[2]) ? -1 : m[2] ? 1 : 0;
+  return { interval: degreeInterval(Number(m[3]), accidental), marked: !!m[1] };
+}
+
+function lowPenalty(note, voice) {
+  if (note >= voice.comfort[0]) return 0;
+  const chest = Math.min(voice.comfort[0] - note, voice.comfort[0] - voice.low);
+  return chest * PENALTY_CHEST + Math.max(0, voice.low - note) * PENALTY_OUT;
+}
+
+function highPenalty(note, voice) {
+  if (note <= voice.comfort[1]) return 0;
+  const chest = Math.min(note, voice.chestHigh) - voice.comfort[1];
+  const head  = Math.max(0, Math.min(note, voice.top) - voice.chestHigh);
+  return chest * PENALTY_CHEST + head * PENALTY_HEAD + Math.max(0, note - voice.top) * PENALTY_OUT;
+}
+
+/** Écart de a à b en demi-tons, entre -5 et 6 ("G" → "A" : 2, "G" → "E" : -3) */
+function signedInterval(from, to) {
+  const up = ((to - from) % 12 + 12) % 12;
+  return up > 6 ? up - 12 : up;
+}
+
+/** Distance entre deux tonalités en demi-tons (0 à 6), 0 sans référence */
+function distance(key, reference) {
+  return reference ? Math.abs(signedInterval(reference.pitch, key.pitch)) : 0;
+}
@@ -0,0 +1,149 @@
+/**
+ * REPORT.JS — Rapport d'import
+ *
+ * Affiche, en tête du Dashboard après chaque chargement, le bilan produit
+ * par le parser (data.diagnostics) :
+ *  - Lignes lues / chansons créées / lignes ignorées par feuille
+ *  - Lignes ignorées avec leur raison
+ *  - Dates illisibles
+ *  - En-têtes inconnus et colonnes "Key" sans chanteur reconnu
+ *  - Feuilles ignorées et GIDs Google Sheets en échec
+ *  - Feuilles Google Sheets chargées depuis le cache (copie possiblement ancienne)
+ *  - Chansons fusionnées (présentes dans plusieurs feuilles) et tonalités
+ *    contradictoires d'une feuille à l'autre
+ *  - Tonalités illisibles (titre "Titre: Tonalité" ou colonnes "<Nom> Key")
+ *  - Accords non reconnus dans les progressions
+ *
+ * Objectif : que l'admin du tableur puisse corriger la source plutôt que
+ * deviner pourquoi une chanson manque.
+ */
+
+import { esc } from './utils.js';
+
+const SOURCE_LABELS = {
+  xlsx:   'Fichier XLSX',
+  sheets: 'Google Sheets',
+};
+
+const TYPE_LABELS = {
+  songs:        'Chansons',
+  progressions: 'Progressions',
+  members:      'Membres',
+  vocalRange:   'Tessitures',
+  vocalGroups:  'Groupes vocaux',
+  tasks:        'Tâches',
+};
+
+
+/**
+ * Rend le rapport dans #import-report (ou le vide si aucun diagnostic).
+ * @param {Object|null} diagnostics - data.diagnostics produit par parser.js
+ */
+export function renderImportReport(diagnostics) {
+  const container = document.getElementById('import-report');
+  if (!container) return;
+
+  if (!diagnostics) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const issues = countIssues(diagnostics);
+  const source = SOURCE_LABELS[diagnostics.source] || 'Cache';
+
+  container.innerHTML = `
+    <div class="panel report-panel">
+      <div class="panel-header">
+        <span class="panel-title">🧾 Rapport d'import</span>
+        <span class="report-summary ${issues ? 'has-issues' : ''}">
+          ${esc(source)} · ${diagnostics.sheets.length} feuille(s) ·
+          ${issues ? `${issues} point(s) à vérifier` : 'aucun problème détecté'}
+        </span>
+        <button class="modal-close-btn report-close" id="import-report-close" aria-label="Fermer le rapport">✕</button>
+      </div>
+      <div class="report-body">
+        ${sheetsTable(diagnostics.sheets)}
+        ${listBlock('Lignes ignorées', diagnostics.skippedRows,
+            e => `${esc(e.sheet)}, ligne ${e.row} — ${esc(e.reason)} <code>${esc(e.value)}</code>`)}
+        ${listBlock('Dates illisibles (colonne "Last sang")', diagnostics.invalidDates,
+            e => `${esc(e.sheet)}, ligne ${e.row} — ${esc(e.title)} : <code>${esc(e.value)}</code>`)}
+        ${listBlock('Colonnes "Key" sans chanteur reconnu', diagnostics.unmatchedSingerColumns,
+            e => `${esc(e.sheet)}, colonne ${e.col + 1} : <code>${esc(e.header)}</code>`)}
+        ${listBlock('En-têtes non utilisés', diagnostics.unknownHeaders,
+            e => `${esc(e.sheet)}, colonne ${e.col + 1} : <code>${esc(e.header)}</code>`)}
+        ${listBlock('Feuilles ignorées', diagnostics.ignoredSheets,
+            name => esc(name))}
+        ${listBlock('Feuilles Google Sheets en échec', diagnostics.failedGids,
+            e => `${esc(e.sheet)} (GID ${esc(e.gid)}) — ${esc(e.error)}`)}
+        ${listBlock('Feuilles chargées depuis le cache', diagnostics.cachedSheets,
+            e => `${esc(e.sheet)} (GID ${esc(e.gid)}) — copie du ${esc(formatDateTime(e.fetchedAt))}, erreur : ${esc(e.error)}`)}
+        ${listBlock('Tonalités contradictoires entre sections', diagnostics.keyConflicts,
+            e => `${esc(e.title)} — ${esc(e.member)} : ${e.values.map(v => `${esc(v.section)} <code>${esc(v.key)}</code>`).join(', ')}`)}
+        ${listBlock('Tonalités non reconnues', diagnostics.invalidKeys,
+            e => `${esc(e.sheet)}, ligne ${e.row} — ${esc(e.title)}${e.member ? ` (${esc(e.member)})` : ' (tonalité originale)'} : <code>${esc(e.value)}</code>`)}
+        ${listBlock('Accords non reconnus (Progression Blank)', diagnostics.unparsedChords,
+            e => `${esc(e.title)} : ${e.tokens.map(t => `<code>${esc(t)}</code>`).join(' ')}`)}
+        ${listBlock('Chansons fusionnées (plusieurs sections)', diagnostics.mergedSongs,
+            e => `${esc(e.title)} — ${esc(e.sections.join(', '))}`)}
+      </div>
+    </div>`;
+
+  document.getElementById('import-report-close')?.addEventListener('click', () => {
+    container.innerHTML = '';
+  });
+}
+
+/**
+ * Nombre de points à vérifier. Les en-têtes non utilisés, les feuilles
+ * ignorées et les chansons fusionnées sont informatifs : ils ne comptent
+ * pas comme problèmes.
+ */
+function countIssues(d) {
+  return d.skippedRows.length
+    + d.invalidDates.length
+    + d.unmatchedSingerColumns.length
+    + d.failedGids.length
+    + (d.cachedSheets || []).length
+    + (d.keyConflicts || []).length
+    + (d.unparsedChords || []).length
+    + (d.invalidKeys || []).length;
+}
+
+/** "2025-03-02T18:04:00Z" → "02/03/2025 19:04" (heure locale). */
+function formatDateTime(iso) {
+  const date = new Date(iso);
+  return isNaN(date) ? '?' : date.toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' });
+}
+
+function sheetsTable(sheets) {
+  if (!sheets.length) return '';
+
+  return `
+    <div class="table-wrap report-table">
+      <table class="range-table">
+        <thead>
+          <tr><th>Feuille</th><th>Type</th><th>Lignes lues</th><th>Éléments créés</th><th>Ignorées</th></tr>
+        </thead>
+        <tbody>
+          ${sheets.map(s => `
+            <tr>
+              <td>${esc(s.name)}</td>
+              <td>${esc(TYPE_LABELS[s.type] || s.type)}</td>
+              <td>${s.rows}</td>
+              <td>${s.parsed}</td>
+              <td style="color:${s.skipped ? 'var(--danger)' : 'var(--text3)'};">${s.skipped}</td>
+            </tr>`).join('')}
+        </tbody>
+      </table>
+    </div>`;
+}
+
+function listBlock(title, entries, renderEntry) {
+  if (!entries || !entries.length) return '';
+
+  return `
+    <details class="report-block">
+      <summary>${esc(title)} <span>(${entries.length})</span></summary>
+      <ul>${entries.map(e => `<li>${renderEntry(e)}</li>`).join('')}</ul>
+    </details>`;
+}
@@ -0,0 +1,230 @@
+/**
+ * ROSTER.JS — Musiciens d'un culte : qui peut jouer quoi, et qui est libre
+ *
+ * song.musicians dit qui sait jouer chaque chanson ("Raphael Piano",
+ * "Raphael Drum"…). Pour une setlist, chaque instrument est un poste à
+ * pourvoir ; un musicien y est d'autant plus indiqué qu'il connaît de
+ * chansons de la setlist. Sont signalés :
+ *  - une même personne prévue sur deux postes
+ *  - un membre (musicien ou lead) indisponible à la date du culte
+ *  - les chansons que le musicien prévu ne connaît pas
+ *  - les chansons que personne ne connaît, sur aucun instrument
+ *
+ * Les indisponibilités sont enregistrées localement, par date :
+ *   { 'AAAA-MM-JJ': ['Raphael', …] }
+ */
+
+import { readStore, writeStore } from './storage.js';
+import { INSTRUMENTS }           from './config.js';
+import { musicianInfo }          from './instruments.js';
+import { arePersonNamesEquivalent, formatDate } from './utils.js';
+
+export const AVAILABILITY_KEY = 'lwc_availability';
+
+// Titres cités au plus dans un avertissement
+const LISTED_TITLES = 3;
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// INDISPONIBILITÉS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Membres indisponibles à une date.
+ * @param {string} date - 'AAAA-MM-JJ'
+ * @returns {string[]}
+ */
+export function unavailableOn(date) {
+  return readStore(AVAILABILITY_KEY, {})[date] || [];
+}
+
+/**
+ * Marque un membre indisponible (ou de nouveau disponible) à une date.
+ * @param {string}  date
+ * @param {string}  name
+ * @param {boolean} unavailable
+ * @returns {boolean} true si l'écriture a réussi
+ */
+export function setUnavailable(date, name, unavailable) {
+  const availability = readStore(AVAILABILITY_KEY, {});
+  const names = (availability[date] || []).filter(n => !arePersonNamesEquivalent(n, name));
+  if (unavailable) names.push(name);
+
+  if (names.length) availability[date] = names;
+  else delete availability[date];
+  return writeStore(AVAILABILITY_KEY, availability);
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POSTES ET CANDIDATS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Musiciens connus par instrument, dans l'ordre de INSTRUMENTS (config.js) ;
+ * les musiciens sans instrument reconnu viennent en dernier (clé '').
+ *
+ * @param {Object[]} musicians - state.performers.musicians
+ * @returns {Array<[string, Object[]]>} [instrument, musiciens]
+ */
+export function rosterSlots(musicians) {
+  const byInstrument = {};
+  musicians.forEach(m => {
+    (byInstrument[m.instrument || ''] ||= []).push(m);
+  });
+  const order = [...Object.keys(INSTRUMENTS), ''];
+  return Object.entries(byInstrument).sort(([a], [b]) => order.indexOf(a) - order.indexOf(b));
+}
+
+/**
+ * Candidats d'un poste, les mieux placés d'abord : disponibles, libres,
+ * puis ceux qui connaissent le plus de chansons de la setlist.
+ *
+ * @param {Object[]} musicians   - Musiciens de l'instrument
+ * @param {Object[]} songs       - Chansons de la setlist
+ * @param {Object}   context
+ * @param {Object}   context.band        - Postes déjà pourvus { instrument: clé }
+ * @param {string}   context.instrument  - Poste considéré
+ * @param {string[]} context.unavailable - Voir unavailableOn()
+ * @returns {Array<{ key, name, known: number, total: number, unavailable: boolean, bookedOn: string|null }>}
+ *          bookedOn : instrument où la même personne est déjà prévue
+ */
+export function slotCandidates(musicians, songs, { band, instrument, unavailable }) {
+  return musicians
+    .map(m => ({
+      key:         m.key,
+      name:        m.name,
+      known:       songs.filter(song => song.musicians[m.key]).length,
+      total:       songs.length,
+      unavailable: unavailable.some(n => arePersonNamesEquivalent(n, m.name)),
+      bookedOn:    bookedOn(m.name, band, instrument),
+    }))
+    .sort((a, b) =>
+      (a.unavailable - b.unavailable) || (!!a.bookedOn - !!b.bookedOn) || (b.known - a.known));
+}
+
+/**
+ * Pourvoit les postes vides d'une setlist avec des musiciens qui connaissent
+ * toutes ses chansons. Les postes ayant le moins de candidats sont pourvus en
+ * premier, pour ne pas leur prendre le seul musicien possible ; un musicien
+ * indisponible ou déjà prévu n'est jamais choisi.
+ *
+ * Un poste sans musicien qualifié reste vide : le meilleur candidat partiel
+ * (qui connaît au moins une chanson) est seulement proposé.
+ *
+ * @param {Object}   band        - setlist.band (non modifié)
+ * @param {Object[]} musicians   - state.performers.musicians
+ * @param {Object[]} songs       - Chansons de la setlist
+ * @param {string[]} unavailable
+ * @returns {{ band: Object, filled: string[], proposals: Array<{ instrument: string, candidate: Object }> }}
+ *          filled : instruments pourvus ; proposals : postes restés vides et
+ *          leur meilleur candidat partiel (voir slotCandidates)
+ */
+export function fillRoster(band, musicians, songs, unavailable) {
+  const result = { ...band };
+  const filled = [];
+  const free   = (instrument, list) => slotCandidates(list, songs, { band: result, instrument, unavailable })
+    .filter(c => !c.unavailable && !c.bookedOn && c.known > 0);
+  const qualified = (instrument, list) => free(instrument, list).filter(c => c.known === c.total);
+
+  const empty = rosterSlots(musicians).filter(([instrument]) => instrument && !result[instrument]);
+  empty
+    .sort(([a, listA], [b, listB]) => qualified(a, listA).length - qualified(b, listB).length)
+    .forEach(([instrument, list]) => {
+      const best = qualified(instrument, list)[0];
+      if (!best) return;
+      result[instrument] = best.key;
+      filled.push(instrument);
+    });
+
+  const proposals = empty
+    .filter(([instrument]) => !result[instrument])
+    .map(([instrument, list]) => ({ instrument, candidate: free(instrument, list)[0] }))
+    .filter(p => p.candidate);
+
+  return { band: result, filled, proposals };
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// AVERTISSEMENTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Conflits et manques d'une setlist.
+ *
+ * @param {Object}   setlist
+ * @param {Object[]} songs       - Chansons de la setlist
+ * @param {Object[]} musicians   - state.performers.musicians
+ * @param {string[]} unavailable
+ * @returns {Array<{ type: 'double'|'unavailable'|'unknown'|'uncovered', message: string }>}
+ */
+export function rosterWarnings(setlist, songs, musicians, unavailable) {
+  const warnings = [];
+  const assigned = Object.entries(setlist.band)
+    .filter(([, key]) => key)
+    .map(([instrument, key]) => ({ instrument, key, name: musicianInfo(key).name }));
+  const isUnavailable = name => unavailable.some(n => arePersonNamesEquivalent(n, name));
+
+  // Une personne sur plusieurs postes
+  const reported = new Set();
+  assigned.forEach(({ name }) => {
+    const slots = assigned.filter(a => arePersonNamesEquivalent(a.name, name));
+    if (slots.length < 2 || reported.has(slots[0].instrument)) return;
+    reported.add(slots[0].instrument);
+    warnings.push({
+      type: 'double',
+      message: `${name} est prévu·e à plusieurs postes : ${slots.map(a => instrumentLabel(a.instrument)).join(', ')}`,
+    });
+  });
+
+  // Musiciens et leads indisponibles
+  const people = [
+    ...assigned.map(a => ({ name: a.name, role: instrumentLabel(a.instrument) })),
+    ...[...new Set(setlist.items.map(i => i.lead).filter(Boolean))].map(name => ({ name, role: 'Lead' })),
+  ];
+  people.filter(p => isUnavailable(p.name)).forEach(p => {
+    warnings.push({ type: 'unavailable', message: `${p.name} (${p.role}) est indisponible le ${formatDate(setlist.date)}` });
+  });
+
+  // Chansons que le musicien prévu ne connaît pas
+  assigned.forEach(({ instrument, key, name }) => {
+    const unknown = songs.filter(song => !song.musicians[key]);
+    if (unknown.length) {
+      warnings.push({
+        type: 'unknown',
+        message: `${instrumentLabel(instrument)} (${name}) : ne connaît pas ${titleList(unknown)}`,
+      });
+    }
+  });
+
+  // Chansons que personne ne connaît
+  const uncovered = songs.filter(song => !musicians.some(m => song.musicians[m.key]));
+  if (uncovered.length) {
+    warnings.push({ type: 'uncovered', message: `Aucun musicien ne connaît ${titleList(uncovered)}` });
+  }
+
+  return warnings;
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Instrument où la même personne est déjà prévue (hors poste considéré), ou null */
+function bookedOn(name, band, instrument) {
+  const entry = Object.entries(band).find(([other, key]) =>
+    other !== instrument && key && arePersonNamesEquivalent(musicianInfo(key).name, name));
+  return entry ? entry[0] : null;
+}
+
+function instrumentLabel(instrument) {
+  return INSTRUMENTS[instrument]?.label || 'Musicien';
+}
+
+/** "« Tenda », « Choix De Dieu » et 2 autres" */
+function titleList(songs) {
+  const titles = songs.slice(0, LISTED_TITLES).map(s => `« ${s.title} »`).join(', ');
+  return songs.length > LISTED_TITLES ? `${titles} et ${songs.length - LISTED_TITLES} autre(s)` : titles;
+}
@@ -0,0 +1,178 @@
+/**
+ * SETLISTS.JS — Setlists des cultes (enregistrées localement)
+ *
+ * Une setlist par culte : une date, les chansons de chaque section dans
+ * l'ordre de passage, le lead et la tonalité de chaque chanson, et les
+ * musiciens du jour (un par instrument).
+ *
+ *   { id, date: 'AAAA-MM-JJ', title, updatedAt,
+ *     items: [{ songId, section, lead, key, reasons?, leadReason? }],
+ *     band:  { piano: 'Nellia Piano', drum: 'Jason Drum', … } }
+ *
+ * items est une seule liste : l'ordre d'une section est l'ordre de ses
+ * éléments dans la liste. Les songId suivent les ré-imports (storage.js).
+ * reasons / leadReason expliquent une chanson proposée (suggest.js).
+ */
+
+import { readStore, writeStore, registerSongRefs } from './storage.js';
+import { SECTION_CSS } from './config.js';
+import { isoDate }     from './utils.js';
+
+export const SETLISTS_KEY = 'lwc_setlists';
+
+/** Sections d'un culte, dans l'ordre de passage */
+export const SERVICE_SECTIONS = Object.keys(SECTION_CSS);
+
+registerSongRefs(SETLISTS_KEY, (setlists, mapId) => setlists.map(setlist => ({
+  ...setlist,
+  items: setlist.items.map(item => ({ ...item, songId: mapId(item.songId) })),
+})));
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// LECTURE / ÉCRITURE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Toutes les setlists, la plus récente d'abord.
+ * @returns {Object[]}
+ */
+export function loadSetlists() {
+  const setlists = readStore(SETLISTS_KEY, []);
+  return (Array.isArray(setlists) ? setlists : [])
+    .sort((a, b) => b.date.localeCompare(a.date) || b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getSetlist(id) {
+  return loadSetlists().find(s => s.id === id) || null;
+}
+
+/**
+ * Enregistre une setlist (création ou mise à jour).
+ * @param {Object} setlist
+ * @returns {boolean} true si l'écriture a réussi
+ */
+export function saveSetlist(setlist) {
+  setlist.updatedAt = new Date().toISOString();
+  const others = loadSetlists().filter(s => s.id !== setlist.id);
+  return writeStore(SETLISTS_KEY, [...others, setlist]);
+}
+
+/**
+ * @param {string} id
+ */
+export function deleteSetlist(id) {
+  writeStore(SETLISTS_KEY, loadSetlists().filter(s => s.id !== id));
+}
+
+/**
+ * Nouvelle setlist vide (non enregistrée).
+ * @param {string} [date] - Dimanche suivant par défaut
+ * @returns {Object}
+ */
+export function createSetlist(date = nextSunday()) {
+  return {
+    id:        `sl-${Date.now().toString(36)}`,
+    date,
+    title:     '',
+    items:     [],
+    band:      {},
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CHANSONS D'UNE SETLIST
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Élément de setlist pour une chanson, dans la tonalité originale.
+ * @param {Object} song
+ * @param {string} section
+ * @returns {Object}
+ */
+export function makeSetlistItem(song, section) {
+  return { songId: song.id, section, lead: '', key: song.originalKey || '' };
+}
+
+/**
+ * Change le lead d'un élément et reprend sa tonalité pour la chanson
+ * (tonalité originale s'il n'en a pas).
+ *
+ * @param {Object} item
+ * @param {Object|undefined} song
+ * @param {string} lead
+ */
+export function setItemLead(item, song, lead) {
+  item.lead = lead;
+  item.key  = (lead && song?.memberKeys[lead]) || song?.originalKey || item.key;
+  delete item.leadReason;
+}
+
+/**
+ * Déplace un élément, éventuellement vers une autre section.
+ *
+ * @param {Object[]} items
+ * @param {number} from           - Index de l'élément déplacé
+ * @param {string} section        - Section d'arrivée
+ * @param {number|null} before    - Index de l'élément devant lequel le placer,
+ *                                  null = à la fin de la section
+ * @returns {Object[]} nouvelle liste
+ */
+export function moveSetlistItem(items, from, section, before) {
+  const moved = { ...items[from], section };
+  const rest  = items.filter((_, i) => i !== from);
+  const target = before == null ? null : items[before];
+
+  const index = target ? rest.indexOf(target) : sectionEndIndex(rest, section);
+  rest.splice(index, 0, moved);
+  return rest;
+}
+
+/**
+ * Index où ajouter un élément en fin de section : après son dernier élément,
+ * ou, si elle est vide, avant la première section qui la suit (la liste
+ * reste dans l'ordre du culte).
+ *
+ * @param {Object[]} items
+ * @param {string} section
+ * @returns {number}
+ */
+export function sectionEndIndex(items, section) {
+  const last = items.map(i => i.section).lastIndexOf(section);
+  if (last >= 0) return last + 1;
+
+  const after = SERVICE_SECTIONS.slice(SERVICE_SECTIONS.indexOf(section) + 1);
+  const next  = items.findIndex(i => after.includes(i.section));
+  return next >= 0 ? next : items.length;
+}
+
+/**
+ * Échange un élément avec son voisin de la même section.
+ * @param {Object[]} items
+ * @param {number} index
+ * @param {-1|1} direction
+ * @returns {Object[]} nouvelle liste (inchangée au bord de la section)
+ */
+export function shiftSetlistItem(items, index, direction) {
+  const section = items[index].section;
+  let other = index + direction;
+  while (items[other] && items[other].section !== section) other += direction;
+  if (!items[other]) return items;
+
+  const next = [...items];
+  [next[index], next[other]] = [next[other], next[index]];
+  return next;
+}
+
+/** Date ISO du prochain dimanche (aujourd'hui si dimanche). */
+function nextSunday() {
+  const d = new Date();
+  d.setDate(d.getDate() + (7 - d.getDay()) % 7);
+  return isoDate(d);
+}
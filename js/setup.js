@@ -3,19 +3,45 @@
  *
  * Gère :
  *  - Les onglets "Fichier XLSX" / "Google Sheets"
+ *  - La configuration Google Sheets depuis une URL (sheets-source.js)
  *  - Le drag & drop du fichier
  *  - Le chargement du cache localStorage
  *  - La validation des formulaires avant activation des boutons
+ *  - L'assistant de correspondance des colonnes avant l'import XLSX (mapping.js)
+ *  - La restauration d'une sauvegarde JSON (backup.js)
  *
  * Après chargement réussi des données, appelle launchApp() depuis main.js.
  */
 
-import { parseXLSX, parseGoogleSheets } from './parser.js';
+import { readWorkbook, parseWorkbook,
+         inspectSongSheets, parseGoogleSheets } from './parser.js';
+import { reviewColumnMappings,
+         loadColumnMappings }           from './mapping.js';
+import { readBackupFile,
+         restoreBackup }                from './backup.js';
+import { parseSpreadsheetUrl, discoverSheetTabs, mapSheetTabs,
+         loadSheetsProfiles, saveSheetsProfile,
+         deleteSheetsProfile }          from './sheets-source.js';
 import { loadFromCache }                from './state.js';
-import { showToast }                    from './utils.js';
+import { esc, showToast }               from './utils.js';
 
 const DEFAULT_XLSX_PATH = './data/LWC - Repertoire + Range + Key + Progression.xlsx';
 
+// Champ GID de chaque feuille Google Sheets (clé = nom attendu par parseGoogleSheets)
+const GID_FIELDS = {
+  'Entrée':            'gid-entree',
+  'S-E':               'gid-se',
+  'Louange':           'gid-louange',
+  'Adoration':         'gid-adoration',
+  'Progression Blank': 'gid-prog',
+  'Report sheet':      'gid-report',
+  'Vocal Range':       'gid-vocal-range',
+  'Groupes vocal':     'gid-groupes',
+  'Taches':            'gid-taches',
+};
+const REQUIRED_SHEETS = ['Entrée', 'S-E', 'Louange', 'Adoration'];
+const REQUIRED_FIELDS = ['sheets-id', ...REQUIRED_SHEETS.map(name => GID_FIELDS[name])];
+
 // ─────────────────────────────────────────────────────────────────────────────
 // INITIALISATION
 // ─────────────────────────────────────────────────────────────────────────────
@@ -31,8 +57,11 @@ export function initSetup(onDataLoaded) {
   setupDropZone(onDataLoaded);
   setupUploadBtn(onDataLoaded);
   setupDefaultDataBtn(onDataLoaded);
+  setupSheetsUrl();
+  setupSheetsProfiles();
   setupSheetsBtn(onDataLoaded);
   setupCacheBtn(onDataLoaded);
+  setupRestoreBtn(onDataLoaded);
   setupSheetsValidation();
 }
 
@@ -149,7 +178,12 @@ function setupUploadBtn(onDataLoaded) {
 
     try {
       const buffer = await fileToUse.arrayBuffer();
-      const data   = parseXLSX(buffer);
+      const data   = await importWorkbook(buffer);
+
+      if (!data) {
+        resetUploadBtn(btn);
+        return;
+      }
 
       if (!data.songs.length) {
         throw new Error('Aucune chanson trouvée. Vérifiez les noms des feuilles (Entrée, S-E, Louange, Adoration).');
@@ -160,12 +194,33 @@ function setupUploadBtn(onDataLoaded) {
     } catch (err) {
       console.error('[Setup] Erreur fichier XLSX :', err);
       showToast('Erreur : ' + err.message, 'error');
-      btn.disabled = false;
-      btn.textContent = 'Charger le fichier →';
+      resetUploadBtn(btn);
     }
   });
 }
 
+function resetUploadBtn(btn) {
+  btn.disabled = false;
+  btn.textContent = 'Charger le fichier →';
+}
+
+/**
+ * Lit le classeur, fait valider la correspondance des colonnes des feuilles
+ * de chansons (assistant affiché si le classeur est inconnu ou si la case
+ * "Revoir la correspondance" est cochée), puis parse le tout.
+ *
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<Object|null>} données parsées, ou null si l'utilisateur annule
+ */
+async function importWorkbook(buffer) {
+  const wb       = readWorkbook(buffer);
+  const force    = !!document.getElementById('review-mapping')?.checked;
+  const mappings = await reviewColumnMappings(inspectSongSheets(wb), force);
+
+  if (!mappings) return null;
+  return parseWorkbook(wb, { mappings });
+}
+
 function setupDefaultDataBtn(onDataLoaded) {
   const btn = document.getElementById('default-data-btn');
   if (!btn) return;
@@ -177,7 +232,12 @@ function setupDefaultDataBtn(onDataLoaded) {
 
     try {
       const buffer = await loadDefaultWorkbookBuffer();
-      const data   = parseXLSX(buffer);
+      const data   = await importWorkbook(buffer);
+
+      if (!data) {
+        resetDefaultDataBtn(btn);
+        return;
+      }
 
       if (!data.songs.length) {
         throw new Error('Aucune chanson trouvée dans le fichier par défaut.');
@@ -192,12 +252,16 @@ function setupDefaultDataBtn(onDataLoaded) {
         ? 'Impossible de charger le fichier par défaut en mode file://. Lancez un serveur local (ex: Live Server).'
         : err.message;
       showToast('Erreur : ' + msg, 'error');
-      btn.disabled = false;
-      btn.textContent = 'Utiliser les données par défaut (dossier data) →';
+      resetDefaultDataBtn(btn);
     }
   });
 }
 
+function resetDefaultDataBtn(btn) {
+  btn.disabled = false;
+  btn.textContent = 'Utiliser les données par défaut (dossier data) →';
+}
+
 async function loadDefaultWorkbookBuffer() {
   const candidates = [
     DEFAULT_XLSX_PATH,
@@ -246,26 +310,15 @@ function setupSheetsBtn(onDataLoaded) {
     const spreadsheetId = document.getElementById('sheets-id')?.value.trim();
 
     if (!spreadsheetId) {
-      showToast('Veuillez entrer l\'ID du Google Sheet', 'error');
+      showToast('Veuillez entrer l\'adresse ou l\'ID du Google Sheet', 'error');
       return;
     }
 
-    // Collecte tous les GIDs configurés
-    const gids = {
-      'Entrée':           document.getElementById('gid-entree')?.value.trim(),
-      'S-E':              document.getElementById('gid-se')?.value.trim(),
-      'Louange':          document.getElementById('gid-louange')?.value.trim(),
-      'Adoration':        document.getElementById('gid-adoration')?.value.trim(),
-      'Progression Blank':document.getElementById('gid-prog')?.value.trim(),
-      'Report sheet':     document.getElementById('gid-report')?.value.trim(),
-      'Vocal Range':      document.getElementById('gid-vocal-range')?.value.trim(),
-      'Groupes vocal':    document.getElementById('gid-groupes')?.value.trim(),
-      'Taches':           document.getElementById('gid-taches')?.value.trim(),
-    };
+    // Collecte tous les GIDs configurés (détectés ou saisis à la main)
+    const gids = readGidFields();
 
     // Vérifie que les 4 feuilles obligatoires ont un GID
-    const required = ['Entrée', 'S-E', 'Louange', 'Adoration'];
-    const missing  = required.filter(name => !gids[name]);
+    const missing = REQUIRED_SHEETS.filter(name => !gids[name]);
     if (missing.length) {
       showToast(`GIDs manquants : ${missing.join(', ')}`, 'error');
       return;
@@ -276,12 +329,25 @@ function setupSheetsBtn(onDataLoaded) {
     showToast('Connexion à Google Sheets...', '');
 
     try {
-      const data = await parseGoogleSheets(spreadsheetId, gids);
+      // Les correspondances confirmées pour le classeur XLSX s'appliquent
+      // aussi aux mêmes feuilles publiées (même signature d'en-têtes).
+      const data = await parseGoogleSheets(spreadsheetId, gids, {
+        mappings:        loadColumnMappings(),
+        fallbackToCache: !!document.getElementById('sheets-use-cache')?.checked,
+        onProgress:      trackSheetProgress(gids),
+      });
 
       if (!data.songs.length) {
         throw new Error('Aucune chanson trouvée. Vérifiez que le Sheet est publié et que les GIDs sont corrects.');
       }
 
+      saveSheetsProfile({
+        name: document.getElementById('sheets-profile-name')?.value.trim() || spreadsheetId.slice(0, 12),
+        url:  document.getElementById('sheets-url')?.value.trim() || '',
+        spreadsheetId,
+        gids,
+      });
+
       onDataLoaded(data);
 
     } catch (err) {
@@ -293,6 +359,193 @@ function setupSheetsBtn(onDataLoaded) {
   });
 }
 
+const PROGRESS_LABELS = {
+  loading: '⏳ chargement…',
+  retry:   '↻ nouvelle tentative',
+  ok:      '✓ chargée',
+  cached:  '⚠ copie en cache',
+  failed:  '✕ échec',
+};
+
+/**
+ * Affiche l'état de chaque feuille dans #sheets-progress et retourne le
+ * callback onProgress à passer à parseGoogleSheets().
+ */
+function trackSheetProgress(gids) {
+  const list = document.getElementById('sheets-progress');
+  if (!list) return undefined;
+
+  const statuses = {};
+  Object.entries(gids).forEach(([sheet, gid]) => { if (gid) statuses[sheet] = { status: 'loading' }; });
+
+  const render = () => {
+    list.innerHTML = Object.entries(statuses).map(([sheet, { status, detail }]) => {
+      let text = PROGRESS_LABELS[status];
+      if (status === 'retry')  text += ` (${detail.attempt})`;
+      if (status === 'failed') text += ` — ${detail.error}`;
+      if (status === 'cached') text += ` — ${detail.error}`;
+      return `<li class="${status}">${esc(sheet)} <span>${esc(text)}</span></li>`;
+    }).join('');
+  };
+
+  list.style.display = '';
+  render();
+
+  return (sheet, status, detail) => {
+    statuses[sheet] = { status, detail };
+    render();
+  };
+}
+
+/** { 'Entrée': '0', 'S-E': '123', … } d'après les champs GID. */
+function readGidFields() {
+  const gids = {};
+  Object.entries(GID_FIELDS).forEach(([sheet, fieldId]) => {
+    gids[sheet] = document.getElementById(fieldId)?.value.trim() || '';
+  });
+  return gids;
+}
+
+/** Remplit l'ID et les champs GID (les feuilles absentes sont vidées). */
+function fillSheetsFields(spreadsheetId, gids) {
+  const idInput = document.getElementById('sheets-id');
+  if (idInput) idInput.value = spreadsheetId || '';
+
+  Object.entries(GID_FIELDS).forEach(([sheet, fieldId]) => {
+    const input = document.getElementById(fieldId);
+    if (input) input.value = gids[sheet] || '';
+  });
+
+  validateSheetsForm();
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GOOGLE SHEETS — URL ET DÉTECTION DES ONGLETS
+// ─────────────────────────────────────────────────────────────────────────────
+
+function setupSheetsUrl() {
+  const urlInput    = document.getElementById('sheets-url');
+  const discoverBtn = document.getElementById('sheets-discover-btn');
+  if (!urlInput || !discoverBtn) return;
+
+  // L'ID est extrait dès la saisie (et recopié dans le champ "Avancé")
+  urlInput.addEventListener('input', () => {
+    const parsed  = parseSpreadsheetUrl(urlInput.value);
+    const idInput = document.getElementById('sheets-id');
+    if (idInput && parsed) idInput.value = parsed.id;
+    discoverBtn.disabled = !parsed;
+    validateSheetsForm();
+  });
+
+  discoverBtn.addEventListener('click', async () => {
+    const parsed = parseSpreadsheetUrl(urlInput.value);
+    if (!parsed) {
+      showToast('Adresse non reconnue. Utilisez l\'adresse …/spreadsheets/d/<ID>/edit', 'error');
+      return;
+    }
+
+    discoverBtn.disabled    = true;
+    discoverBtn.textContent = '⏳ Détection...';
+
+    try {
+      const { title, tabs } = await discoverSheetTabs(parsed.id);
+      const mapped = mapSheetTabs(tabs);
+
+      fillSheetsFields(parsed.id, mapped.gids);
+      renderDiscoveredTabs(mapped);
+
+      const nameInput = document.getElementById('sheets-profile-name');
+      if (nameInput && !nameInput.value.trim()) nameInput.value = title;
+
+      showToast(`${mapped.matched.length} onglet(s) reconnu(s) ✓`, 'success');
+    } catch (err) {
+      console.warn('[Setup] Détection des onglets impossible :', err.message);
+      showToast('Détection impossible : ' + err.message + '. Saisissez les GIDs dans "Avancé".', 'error');
+      const advanced = document.getElementById('sheets-advanced');
+      if (advanced) advanced.open = true;
+    } finally {
+      discoverBtn.disabled    = false;
+      discoverBtn.textContent = '🔍 Détecter les onglets';
+    }
+  });
+}
+
+/** Liste des onglets détectés : reconnus, ignorés, et feuilles obligatoires absentes. */
+function renderDiscoveredTabs({ gids, matched, ignored }) {
+  const container = document.getElementById('sheets-tabs');
+  if (!container) return;
+
+  const missing = REQUIRED_SHEETS.filter(name => !gids[name]);
+
+  container.innerHTML = `
+    <ul class="sheets-tab-list">
+      ${matched.map(t => `
+        <li>✓ ${esc(t.name)}${t.name !== t.sheet ? ` → ${esc(t.sheet)}` : ''} <span>GID ${esc(t.gid)}</span></li>`).join('')}
+      ${ignored.map(t => `
+        <li class="ignored">— ${esc(t.name)} (ignoré) <span>GID ${esc(t.gid)}</span></li>`).join('')}
+      ${missing.map(name => `
+        <li class="missing">✕ ${esc(name)} introuvable</li>`).join('')}
+    </ul>`;
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GOOGLE SHEETS — PROFILS ENREGISTRÉS
+// ─────────────────────────────────────────────────────────────────────────────
+
+function setupSheetsProfiles() {
+  const select    = document.getElementById('sheets-profile');
+  const deleteBtn = document.getElementById('sheets-profile-delete');
+  if (!select) return;
+
+  renderProfileOptions();
+
+  // Le profil le plus récent est pré-rempli
+  const [latest] = loadSheetsProfiles();
+  if (latest) applyProfile(latest);
+
+  select.addEventListener('change', () => {
+    const profile = loadSheetsProfiles().find(p => p.name === select.value);
+    if (profile) applyProfile(profile);
+  });
+
+  deleteBtn?.addEventListener('click', () => {
+    if (!select.value) return;
+    deleteSheetsProfile(select.value);
+    showToast(`Profil "${select.value}" supprimé`, 'success');
+    renderProfileOptions();
+  });
+}
+
+function renderProfileOptions(selected) {
+  const block    = document.getElementById('sheets-profiles-block');
+  const select   = document.getElementById('sheets-profile');
+  const profiles = loadSheetsProfiles();
+  if (!select) return;
+
+  if (block) block.style.display = profiles.length ? '' : 'none';
+  select.innerHTML = profiles.map(p =>
+    `<option value="${esc(p.name)}" ${p.name === selected ? 'selected' : ''}>${esc(p.name)}</option>`
+  ).join('');
+}
+
+function applyProfile(profile) {
+  const urlInput  = document.getElementById('sheets-url');
+  const nameInput = document.getElementById('sheets-profile-name');
+  if (urlInput)  urlInput.value  = profile.url || '';
+  if (nameInput) nameInput.value = profile.name;
+
+  const discoverBtn = document.getElementById('sheets-discover-btn');
+  if (discoverBtn) discoverBtn.disabled = !parseSpreadsheetUrl(profile.url);
+
+  fillSheetsFields(profile.spreadsheetId, profile.gids || {});
+  renderProfileOptions(profile.name);
+
+  const tabs = document.getElementById('sheets-tabs');
+  if (tabs) tabs.innerHTML = '';
+}
+
 
 // ─────────────────────────────────────────────────────────────────────────────
 // BOUTON "CONTINUER AVEC LE CACHE"
@@ -314,26 +567,54 @@ function setupCacheBtn(onDataLoaded) {
 }
 
 
+// ─────────────────────────────────────────────────────────────────────────────
+// BOUTON "RESTAURER UNE SAUVEGARDE"
+// ─────────────────────────────────────────────────────────────────────────────
+
+function setupRestoreBtn(onDataLoaded) {
+  const btn   = document.getElementById('restore-btn');
+  const input = document.getElementById('backup-input');
+  if (!btn || !input) return;
+
+  btn.addEventListener('click', () => input.click());
+
+  input.addEventListener('change', async () => {
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+
+    try {
+      const backup = await readBackupFile(file);
+      const data   = restoreBackup(backup);
+      showToast(`Sauvegarde restaurée : ${data.songs.length} chansons ✓`, 'success');
+      onDataLoaded(data);
+    } catch (err) {
+      console.error('[Setup] Erreur restauration :', err);
+      showToast('Erreur : ' + err.message, 'error');
+    }
+  });
+}
+
+
 // ─────────────────────────────────────────────────────────────────────────────
 // VALIDATION FORMULAIRE GOOGLE SHEETS
 // Active/désactive le bouton selon les champs requis remplis
 // ─────────────────────────────────────────────────────────────────────────────
 
 function setupSheetsValidation() {
-  const requiredIds = ['sheets-id', 'gid-entree', 'gid-se', 'gid-louange', 'gid-adoration'];
+  REQUIRED_FIELDS.forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener('input', validateSheetsForm);
+  });
+  validateSheetsForm();
+}
+
+function validateSheetsForm() {
   const btn = document.getElementById('sheets-btn');
   if (!btn) return;
 
-  const validate = () => {
-    const allFilled = requiredIds.every(id => {
-      const el = document.getElementById(id);
-      return el && el.value.trim().length > 0;
-    });
-    btn.disabled = !allFilled;
-  };
-
-  requiredIds.forEach(id => {
+  btn.disabled = !REQUIRED_FIELDS.every(id => {
     const el = document.getElementById(id);
-    if (el) el.addEventListener('input', validate);
+    return el && el.value.trim().length > 0;
   });
 }
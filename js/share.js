@@ -0,0 +1,153 @@
+/**
+ * SHARE.JS — Lien de partage d'une setlist (fonctionne hors ligne)
+ *
+ * La setlist entière tient dans le fragment de l'URL ("#s=…") : rien n'est
+ * envoyé à un serveur, et l'app (mise en cache par le service worker)
+ * l'affiche sans réseau. Le fragment est un tableau JSON compact encodé en
+ * base64url :
+ *
+ *   [version, date, titre, [[instrument, musicien]…],
+ *    [[section, idChanson, titreChanson, lead, tonalité]…]]
+ *
+ * section : index dans SERVICE_SECTIONS. Les chansons sont désignées par
+ * leur identifiant stable (song-ids.js) ; le titre sert à les retrouver si
+ * l'identifiant diffère chez le destinataire, et à nommer celles qui
+ * manquent dans son répertoire.
+ */
+
+import { SERVICE_SECTIONS } from './setlists.js';
+import { normalizeTitle }   from './song-ids.js';
+
+const SHARE_VERSION = 1;
+const SHARE_PREFIX  = '#s=';
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ENCODAGE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Lien de partage d'une setlist, sur l'adresse courante de l'app.
+ * @param {Object}   setlist
+ * @param {Object[]} songs - state.songs (titres des chansons)
+ * @returns {string}
+ */
+export function shareUrl(setlist, songs) {
+  const url = new URL(window.location.href);
+  url.hash = SHARE_PREFIX.slice(1) + encodeSetlist(setlist, songs);
+  return url.toString();
+}
+
+/**
+ * @param {Object}   setlist
+ * @param {Object[]} songs
+ * @returns {string} base64url
+ */
+export function encodeSetlist(setlist, songs) {
+  const songById = new Map(songs.map(s => [s.id, s]));
+  const payload  = [
+    SHARE_VERSION,
+    setlist.date,
+    setlist.title || '',
+    Object.entries(setlist.band).filter(([, musician]) => musician),
+    setlist.items.map(item => [
+      SERVICE_SECTIONS.indexOf(item.section),
+      item.songId,
+      songById.get(item.songId)?.title || '',
+      item.lead || '',
+      item.key  || '',
+    ]),
+  ];
+  return toBase64Url(JSON.stringify(payload));
+}
+
+/**
+ * Setlist partagée contenue dans un fragment d'URL.
+ * @param {string} hash - window.location.hash
+ * @returns {{ date, title, band: Object, items: Object[] }|null} null si ce
+ *          n'est pas un lien de partage
+ * @throws {Error} lien de partage illisible (tronqué, version inconnue…)
+ */
+export function decodeSharedHash(hash) {
+  if (!String(hash || '').startsWith(SHARE_PREFIX)) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(hash.slice(SHARE_PREFIX.length)));
+  } catch {
+    throw new Error('Lien de setlist illisible (incomplet ou modifié)');
+  }
+
+  if (!Array.isArray(payload) || payload[0] !== SHARE_VERSION) {
+    throw new Error('Lien de setlist illisible (créé par une autre version de l\'app ?)');
+  }
+  try {
+    return readPayload(payload);
+  } catch {
+    throw new Error('Lien de setlist illisible (incomplet ou modifié)');
+  }
+}
+
+/** Setlist d'un tableau décodé ; les musiciens et chansons mal formés sont ignorés */
+function readPayload([, date, title, band, items]) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !Array.isArray(items)) throw new Error('Date ou chansons manquantes');
+
+  const isPair = entry => Array.isArray(entry) && entry.length === 2 && entry.every(v => typeof v === 'string');
+  return {
+    date:  text(date),
+    title: text(title),
+    band:  Object.fromEntries((Array.isArray(band) ? band : []).filter(isPair)),
+    items: items.filter(Array.isArray).map(([section, songId, songTitle, lead, key]) => ({
+      section: (Number.isInteger(section) && SERVICE_SECTIONS[section]) || SERVICE_SECTIONS[0],
+      songId:  text(songId),
+      title:   text(songTitle),
+      lead:    text(lead),
+      key:     text(key),
+    })).filter(item => item.songId || item.title),
+  };
+}
+
+function text(value) {
+  return typeof value === 'string' ? value : '';
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// RÉSOLUTION DANS LE RÉPERTOIRE LOCAL
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Retrouve les chansons d'une setlist partagée dans le répertoire local :
+ * par identifiant (ou ancien identifiant d'une chanson fusionnée), sinon
+ * par titre, de préférence dans la même section.
+ *
+ * @param {Object}   shared - decodeSharedHash()
+ * @param {Object[]} songs  - state.songs
+ * @returns {Object[]} les éléments, avec song (null si absente du répertoire)
+ */
+export function resolveSharedItems(shared, songs) {
+  return shared.items.map(item => {
+    const byId    = songs.find(s => s.id === item.songId || (s.aliases || []).includes(item.songId));
+    const title   = normalizeTitle(item.title);
+    const byTitle = title ? songs.filter(s => normalizeTitle(s.title) === title) : [];
+    const song    = byId || byTitle.find(s => s.sections.includes(item.section)) || byTitle[0] || null;
+    return { ...item, song };
+  });
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// BASE64URL (UTF-8)
+// ─────────────────────────────────────────────────────────────────────────────
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder('utf-8', { fatal: true }).decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
@@ -0,0 +1,120 @@
+/**
+ * SHEETS-LOADER.JS — Téléchargement des feuilles Google Sheets (CSV)
+ *
+ * Toutes les feuilles sont demandées en parallèle, chacune avec :
+ *  - un délai maximal (AbortController)
+ *  - quelques nouvelles tentatives en cas d'erreur réseau ou serveur
+ *  - un suivi d'état transmis à l'écran de setup (onProgress)
+ *
+ * Chaque CSV reçu est gardé en cache (localStorage) : si une feuille échoue,
+ * sa dernière copie peut être utilisée à la place, sans recharger les autres.
+ */
+
+import { readStore, writeStore } from './storage.js';
+
+export const SHEETS_CACHE_KEY = 'lwc_sheets_csv_cache';
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_RETRIES    = 2;
+const RETRY_DELAY_MS     = 800;
+
+
+/**
+ * Télécharge les CSV de plusieurs feuilles en parallèle.
+ *
+ * États transmis à onProgress(sheet, status, detail) :
+ *  'loading' → 'retry' (detail.attempt) → 'ok' | 'cached' | 'failed' (detail.error)
+ *
+ * @param {string} spreadsheetId
+ * @param {Object} gids - { 'Entrée': '0', ... } (GID vide = feuille ignorée)
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress]
+ * @param {number}   [options.timeoutMs]       - Délai par tentative
+ * @param {number}   [options.retries]         - Nouvelles tentatives après un échec
+ * @param {boolean}  [options.fallbackToCache] - Utiliser le cache pour les feuilles en échec
+ * @returns {Promise<Array<{ sheet, gid, status: 'ok'|'cached'|'failed',
+ *                           csv: string|null, error: string|null, fetchedAt: string|null }>>}
+ *          dans l'ordre de `gids`
+ */
+export async function fetchSheetsCsv(spreadsheetId, gids, options = {}) {
+  const notify  = options.onProgress || (() => {});
+  const entries = Object.entries(gids).filter(([, gid]) => gid);
+
+  return Promise.all(entries.map(async ([sheet, gid]) => {
+    const url = `https://docs.google.com/spreadsheets/d/${spreadsheetId}/export?format=csv&gid=${gid}`;
+    notify(sheet, 'loading', {});
+
+    try {
+      const csv = await fetchWithRetry(url, options, attempt => notify(sheet, 'retry', { attempt }));
+      const fetchedAt = new Date().toISOString();
+      cacheCsv(spreadsheetId, gid, csv, fetchedAt);
+      notify(sheet, 'ok', {});
+      return { sheet, gid, status: 'ok', csv, error: null, fetchedAt };
+
+    } catch (err) {
+      console.warn(`[Sheets] Impossible de charger la feuille "${sheet}" (GID ${gid}) :`, err.message);
+
+      const cached = options.fallbackToCache ? cachedCsv(spreadsheetId, gid) : null;
+      if (cached) {
+        notify(sheet, 'cached', { error: err.message, fetchedAt: cached.fetchedAt });
+        return { sheet, gid, status: 'cached', csv: cached.csv, error: err.message, fetchedAt: cached.fetchedAt };
+      }
+
+      notify(sheet, 'failed', { error: err.message });
+      return { sheet, gid, status: 'failed', csv: null, error: err.message, fetchedAt: null };
+    }
+  }));
+}
+
+/**
+ * Une requête avec délai maximal et nouvelles tentatives.
+ * Les erreurs 4xx (hors 408 / 429) ne sont pas retentées : le GID ou la
+ * publication est en cause, pas le réseau.
+ */
+async function fetchWithRetry(url, options, onRetry) {
+  const timeoutMs = options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+  const retries   = options.retries   ?? DEFAULT_RETRIES;
+
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    const timer      = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const response = await fetch(url, { signal: controller.signal });
+      if (!response.ok) {
+        const err = new Error(`HTTP ${response.status}`);
+        err.retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+        throw err;
+      }
+      return await response.text();
+
+    } catch (err) {
+      const error = err.name === 'AbortError'
+        ? Object.assign(new Error(`Délai dépassé (${Math.ceil(timeoutMs / 1000)} s)`), { retryable: true })
+        : err;
+      const retryable = error.retryable ?? true; // erreur réseau
+
+      if (!retryable || attempt >= retries) throw error;
+      onRetry(attempt + 1);
+      await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS * (attempt + 1)));
+
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CACHE PAR FEUILLE
+// ─────────────────────────────────────────────────────────────────────────────
+
+function cacheCsv(spreadsheetId, gid, csv, fetchedAt) {
+  const cache = readStore(SHEETS_CACHE_KEY, {});
+  cache[`${spreadsheetId}|${gid}`] = { csv, fetchedAt };
+  writeStore(SHEETS_CACHE_KEY, cache);
+}
+
+function cachedCsv(spreadsheetId, gid) {
+  return readStore(SHEETS_CACHE_KEY, {})[`${spreadsheetId}|${gid}`] || null;
+}
@@ -0,0 +1,209 @@
+/**
+ * SHEETS-SOURCE.JS — Configuration de la source Google Sheets
+ *
+ * Permet de configurer Google Sheets à partir d'une seule URL de partage :
+ *  1. Extraction de l'ID du classeur depuis l'URL
+ *  2. Découverte des onglets et de leurs GIDs (page HTML du classeur publié)
+ *  3. Association de chaque onglet à un type de feuille via getSheetType()
+ *  4. Profils nommés enregistrés dans localStorage pour ne rien ressaisir
+ *
+ * La page de découverte est configurable (SHEETS_DISCOVERY_URL dans config.js) :
+ * data/fixtures/sheets-discovery.html en est une copie locale pour les tests
+ * (vérifiée par scripts/check-sheet-tabs.mjs).
+ */
+
+import { getSheetType, canonicalSheetName } from './parser.js';
+import { SHEETS_DISCOVERY_URL }             from './config.js';
+import { readStore, writeStore }            from './storage.js';
+
+const PROFILES_KEY = 'lwc_sheets_profiles';
+
+// Nom de feuille attendu par parseGoogleSheets() pour chaque type non-chanson
+const STANDARD_SHEET_NAMES = {
+  progressions: 'Progression Blank',
+  members:      'Report sheet',
+  vocalRange:   'Vocal Range',
+  vocalGroups:  'Groupes vocal',
+  tasks:        'Taches',
+};
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// URL ET DÉCOUVERTE DES ONGLETS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Extrait l'ID (et le GID éventuel) d'une URL Google Sheets.
+ * Accepte aussi un ID collé seul.
+ * Ex: "https://docs.google.com/spreadsheets/d/1Bxi…/edit#gid=42" → { id: '1Bxi…', gid: '42' }
+ *
+ * @param {string} input
+ * @returns {{ id: string, gid: string|null }|null} null si l'URL n'est pas exploitable
+ */
+export function parseSpreadsheetUrl(input) {
+  const text = String(input || '').trim();
+  if (!text) return null;
+
+  // URL "Publier sur le web" (/d/e/2PACX-…) : ID différent, export CSV impossible
+  if (/\/spreadsheets\/d\/e\//.test(text)) return null;
+
+  const gid = text.match(/[#&?]gid=(\d+)/)?.[1] || null;
+
+  const fromUrl = text.match(/\/spreadsheets\/d\/([A-Za-z0-9_-]{20,})/);
+  if (fromUrl) return { id: fromUrl[1], gid };
+
+  return /^[A-Za-z0-9_-]{20,}$/.test(text) ? { id: text, gid: null } : null;
+}
+
+/**
+ * Extrait le titre du classeur et la liste des onglets de la page HTML
+ * d'un classeur publié (htmlview / pubhtml).
+ *
+ * Deux formes sont reconnues :
+ *  - le script d'initialisation : items.push({name: "Entrée", …, gid: "0"});
+ *  - les boutons d'onglets :      <li id="sheet-button-0"><a …>Entrée</a></li>
+ *
+ * @param {string} html
+ * @returns {{ title: string, tabs: Array<{ name: string, gid: string }> }}
+ */
+export function parseSheetTabs(html) {
+  const text = String(html || '');
+  const tabs = [];
+  const add  = (name, gid) => {
+    if (name && gid && !tabs.some(t => t.gid === gid)) tabs.push({ name, gid });
+  };
+
+  const itemRe = /items\.push\(\{\s*name:\s*"((?:[^"\\]|\\.)*)"[^}]*?gid:\s*"(\d+)"/g;
+  for (const m of text.matchAll(itemRe)) add(decodeJsString(m[1]), m[2]);
+
+  const buttonRe = /<li[^>]*id="sheet-button-(\d+)"[^>]*>([\s\S]*?)<\/li>/g;
+  for (const m of text.matchAll(buttonRe)) add(decodeHtml(m[2].replace(/<[^>]*>/g, '')).trim(), m[1]);
+
+  const title = decodeHtml(text.match(/<title>([\s\S]*?)<\/title>/i)?.[1] || '')
+    .replace(/\s+-\s+Google (Sheets|Drive|Docs)\s*$/i, '')
+    .trim();
+
+  return { title, tabs };
+}
+
+/**
+ * Télécharge la page du classeur et retourne ses onglets.
+ *
+ * La page htmlview n'est pas prévue pour être lue par une autre application :
+ * Google peut la refuser au navigateur (pas d'en-tête CORS), selon le compte
+ * et les réglages de partage. L'échec est alors signalé comme tel, et les
+ * GIDs restent saisissables à la main (section Avancé de la configuration).
+ *
+ * @param {string} spreadsheetId
+ * @param {Object} [options]
+ * @param {string} [options.endpoint] - Adresse de la page ("{id}" remplacé) ;
+ *                                      SHEETS_DISCOVERY_URL par défaut
+ * @returns {Promise<{ title: string, tabs: Array<{ name: string, gid: string }> }>}
+ * @throws {Error} si la page est inaccessible ou ne liste aucun onglet
+ */
+export async function discoverSheetTabs(spreadsheetId, options = {}) {
+  const endpoint = options.endpoint || SHEETS_DISCOVERY_URL;
+  const url      = endpoint.replace('{id}', encodeURIComponent(spreadsheetId));
+
+  let response;
+  try {
+    response = await fetch(url, { cache: 'no-cache' });
+  } catch {
+    // Réseau coupé, ou réponse bloquée par le navigateur (CORS) : indiscernables ici
+    throw new Error('Page du classeur inaccessible depuis le navigateur (hors ligne, ou lecture bloquée par Google)');
+  }
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+  const result = parseSheetTabs(await response.text());
+  if (!result.tabs.length) {
+    throw new Error('Aucun onglet trouvé. Le classeur est-il publié sur le web ?');
+  }
+  return result;
+}
+
+/**
+ * Associe chaque onglet à un type de feuille (getSheetType) et retourne les GIDs
+ * indexés par le nom attendu par parseGoogleSheets(). Le premier onglet d'un
+ * type l'emporte ; les onglets non reconnus sont listés à part.
+ *
+ * @param {Array<{ name: string, gid: string }>} tabs
+ * @returns {{ gids: Object, matched: Array, ignored: Array }}
+ *   gids    : { 'Entrée': '0', 'Report sheet': '123', … }
+ *   matched : [{ name, gid, type, sheet }]
+ *   ignored : [{ name, gid }]
+ */
+export function mapSheetTabs(tabs) {
+  const gids    = {};
+  const matched = [];
+  const ignored = [];
+
+  tabs.forEach(tab => {
+    const type  = getSheetType(tab.name);
+    const sheet = type === 'songs' ? canonicalSheetName(tab.name, type) : STANDARD_SHEET_NAMES[type];
+
+    if (!type || gids[sheet]) {
+      ignored.push(tab);
+      return;
+    }
+    gids[sheet] = tab.gid;
+    matched.push({ ...tab, type, sheet });
+  });
+
+  return { gids, matched, ignored };
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PROFILS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Profils enregistrés, du plus récemment utilisé au plus ancien.
+ * @returns {Array<{ name: string, url: string, spreadsheetId: string, gids: Object, savedAt: string }>}
+ */
+export function loadSheetsProfiles() {
+  const profiles = readStore(PROFILES_KEY, []);
+  return Array.isArray(profiles)
+    ? profiles.sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)))
+    : [];
+}
+
+/**
+ * Enregistre un profil (remplace celui de même nom).
+ * @param {{ name: string, url: string, spreadsheetId: string, gids: Object }} profile
+ */
+export function saveSheetsProfile(profile) {
+  const others = loadSheetsProfiles().filter(p => p.name !== profile.name);
+  writeStore(PROFILES_KEY, [{ ...profile, savedAt: new Date().toISOString() }, ...others]);
+}
+
+/**
+ * Supprime un profil.
+ * @param {string} name
+ */
+export function deleteSheetsProfile(name) {
+  writeStore(PROFILES_KEY, loadSheetsProfiles().filter(p => p.name !== name));
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Décode une chaîne littérale JS ("Entr\u00e9e" → "Entrée"). */
+function decodeJsString(raw) {
+  try {
+    return JSON.parse(`"${raw.replace(/\\x([0-9a-f]{2})/gi, '\\u00$1')}"`);
+  } catch (e) {
+    return raw;
+  }
+}
+
+/** Décode les entités HTML courantes ("Entr&eacute;e", "S&#45;E"). */
+function decodeHtml(text) {
+  const NAMED = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', eacute: 'é', egrave: 'è' };
+  return String(text)
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&([a-z]+);/gi, (m, name) => NAMED[name.toLowerCase()] ?? m);
+}
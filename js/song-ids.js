@@ -0,0 +1,93 @@
+/**
+ * SONG-IDS.JS — Identifiants stables des chansons
+ *
+ * L'identifiant d'une chanson est dérivé de son contenu (section + titre
+ * normalisé), et non de sa position dans la feuille : insérer une ligne dans
+ * le tableur ne change plus l'identifiant des chansons suivantes.
+ *
+ *   "Entrée" + "10 000 Reasons" → "entree--10-000-reasons"
+ *
+ * En cas de doublon dans une même section, un suffixe est ajouté dans l'ordre
+ * d'apparition ("…-2", "…-3").
+ */
+
+
+/**
+ * Normalise un titre pour la comparaison : minuscules, sans accents,
+ * ponctuation et espaces réduits.
+ * Ex: "Alléluia — Faveur !" → "alleluia faveur"
+ *
+ * @param {string} title
+ * @returns {string}
+ */
+export function normalizeTitle(title) {
+  return String(title || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Identifiant de base d'une chanson (sans gestion des doublons).
+ * @param {string} section
+ * @param {string} title
+ * @returns {string}
+ */
+export function makeSongId(section, title) {
+  const slug = (text) => normalizeTitle(text).replace(/ /g, '-');
+  return `${slug(section)}--${slug(title) || 'sans-titre'}`;
+}
+
+/**
+ * Attribue un identifiant stable à chaque chanson (mutation en place).
+ * @param {Object[]} songs
+ */
+export function assignSongIds(songs) {
+  const seen = new Map();
+
+  songs.forEach(song => {
+    const base  = makeSongId(song.section, song.title);
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    song.id = count === 1 ? base : `${base}-${count}`;
+  });
+}
+
+/**
+ * Construit la table de correspondance ancien id → nouvel id entre deux
+ * imports, en appariant les chansons par section + titre normalisé.
+ * Fonctionne aussi avec les anciens identifiants positionnels ("Entrée_12"),
+ * et avec les chansons fusionnées (retrouvées par chacune de leurs sections).
+ *
+ * @param {Object[]} oldSongs
+ * @param {Object[]} newSongs
+ * @returns {Object} { ancienId: nouvelId } (uniquement les ids qui changent)
+ */
+export function buildSongIdMap(oldSongs, newSongs) {
+  const matchKey = (song) => `${song.section}|${normalizeTitle(song.title)}`;
+
+  // File d'attente par clé pour apparier les doublons dans l'ordre
+  const queues = new Map();
+  (newSongs || []).forEach(song => {
+    (song.sections || [song.section]).forEach(section => {
+      const k = matchKey({ section, title: song.title });
+      if (!queues.has(k)) queues.set(k, []);
+      queues.get(k).push(song.id);
+    });
+  });
+
+  // Une chanson fusionnée est cherchée dans chacune de ses sections, la
+  // principale d'abord : elle reste retrouvée si sa ligne principale disparaît
+  const idMap = {};
+  (oldSongs || []).forEach(song => {
+    const newId = (song.sections || [song.section])
+      .map(section => queues.get(matchKey({ section, title: song.title })))
+      .find(queue => queue?.length)
+      ?.shift();
+    if (newId && newId !== song.id) idMap[song.id] = newId;
+  });
+
+  return idMap;
+}
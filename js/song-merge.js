@@ -0,0 +1,102 @@
+/**
+ * SONG-MERGE.JS — Fusion des chansons présentes dans plusieurs sections
+ *
+ * Une même chanson figure souvent dans deux feuilles (ex: Louange et
+ * Adoration). Le parser crée une ligne par feuille ; cette étape les réunit
+ * en une seule chanson, identifiée par son titre normalisé :
+ *
+ *  - section   : première section où la chanson apparaît (section principale)
+ *  - sections  : toutes ses sections, dans l'ordre des feuilles
+ *  - lastSang  : date la plus récente (daysPast : le plus petit)
+ *  - memberKeys / musicians : réunis ; une tonalité différente d'une feuille
+ *    à l'autre (enharmoniques mises à part) garde celle de la section
+ *    principale et est signalée dans keyConflicts
+ *  - aliases   : identifiants qu'auraient eus les lignes fusionnées
+ */
+
+import { normalizeTitle, makeSongId } from './song-ids.js';
+import { parseKeyText, sameKey }      from './keys.js';
+
+
+/**
+ * Fusionne les doublons et consigne le résultat dans les diagnostics.
+ *
+ * @param {Object[]} songs       - Chansons telles que produites par le parser
+ * @param {Object}   diagnostics - data.diagnostics (mergedSongs, keyConflicts)
+ * @returns {Object[]} chansons fusionnées (ordre de première apparition)
+ */
+export function mergeDuplicateSongs(songs, diagnostics) {
+  const groups = new Map();
+  songs.forEach(song => {
+    const key = normalizeTitle(song.title);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(song);
+  });
+
+  return [...groups.values()].map(group => {
+    const song = group.length > 1 ? mergeGroup(group) : { ...group[0], sections: [group[0].section] };
+
+    if (group.length > 1) {
+      diagnostics.mergedSongs.push({ title: song.title, sections: song.sections });
+      Object.entries(song.keyConflicts || {}).forEach(([member, values]) => {
+        diagnostics.keyConflicts.push({ title: song.title, member, values });
+      });
+    }
+    return song;
+  });
+}
+
+/**
+ * Réunit les lignes d'une même chanson.
+ * @param {Object[]} group - Au moins deux chansons de même titre normalisé
+ * @returns {Object}
+ */
+function mergeGroup(group) {
+  const [primary, ...others] = group;
+
+  const song = {
+    ...primary,
+    sections:  [...new Set(group.map(s => s.section))],
+    aliases:   others.map(s => makeSongId(s.section, s.title)),
+    memberKeys: { ...primary.memberKeys },
+    musicians:  { ...primary.musicians },
+  };
+
+  // Métadonnées : la valeur la plus récente ou la première renseignée
+  song.lastSang = group.map(s => s.lastSang).filter(Boolean).sort().pop() || null;
+  const days = group.map(s => s.daysPast).filter(d => d != null);
+  song.daysPast = days.length ? Math.min(...days) : null;
+
+  song.originalKey    = group.find(s => s.originalKey)?.originalKey || '';
+  song.creuSommet     = group.find(s => s.creuSommet)?.creuSommet || '';
+  song.langue         = group.find(s => s.langue && s.langue !== '—')?.langue || primary.langue;
+  song.hasLyrics      = group.some(s => s.hasLyrics);
+  song.hasProgression = group.some(s => s.hasProgression);
+
+  // Tonalités : la section principale prime, les désaccords sont conservés
+  const keyConflicts = {};
+  others.forEach(other => {
+    Object.entries(other.memberKeys).forEach(([member, key]) => {
+      const current = song.memberKeys[member];
+      if (!current) {
+        song.memberKeys[member] = key;
+      } else if (!sameKeyText(current, key)) {
+        keyConflicts[member] ||= group
+          .filter(s => s.memberKeys[member])
+          .map(s => ({ section: s.section, key: s.memberKeys[member] }));
+      }
+    });
+    Object.keys(other.musicians).forEach(key => { song.musicians[key] = true; });
+  });
+
+  if (Object.keys(keyConflicts).length) song.keyConflicts = keyConflicts;
+  return song;
+}
+
+/** "Bb" et "A#" ou "Sib" désignent la même tonalité ; sinon comparaison du texte. */
+function sameKeyText(a, b) {
+  const keysA = parseKeyText(a);
+  const keysB = parseKeyText(b);
+  if (!keysA || !keysB) return a.toLowerCase() === b.toLowerCase();
+  return keysA.length === keysB.length && keysA.every((k, i) => sameKey(k, keysB[i]));
+}
@@ -10,18 +10,27 @@
  *   state.songsPage     → page courante de la vue Chansons
  */
 
+import { derivePerformers } from './instruments.js';
+import { buildSongIdMap }   from './song-ids.js';
+import { relinkSongRefs }   from './storage.js';
+import { parseChart }       from './chords.js';
+import { applyHistory }     from './history.js';
+
 export const state = {
 
   // ── Données chargées depuis le fichier / Google Sheets ──────────────────
   songs: [],          // Toutes les chansons (toutes sections confondues)
   members: [],        // Membres (chanteurs + musiciens)
   progressions: {},   // { 'titre en minuscules': 'texte de la progression' }
+  progressionCharts: {}, // mêmes clés : progression découpée par parseChart() (chords.js)
   vocalRanges: {},    // { 'Membre': { voiceType, lowChest, highChest, headVoice, primaVoce } }
   vocalGroups: {},    // { 'Lead': { 'Soprano': [...], 'Alto 1': [...], ... } }
   tasks: {},          // { 'Membre': ['Tâche 1', 'Tâche 2', ...] }
+  performers: { singers: [], musicians: [] }, // découverts dans les en-têtes (instruments.js)
+  diagnostics: null,  // Rapport d'import du dernier chargement (voir parser.js)
 
   // ── Navigation ───────────────────────────────────────────────────────────
-  currentView: 'dashboard', // 'dashboard' | 'songs' | 'members' | 'service'
+  currentView: 'dashboard', // 'dashboard' | 'songs' | 'members' | 'service' | 'setlists' | 'shared' | 'calendar' | 'matrix'
 
   // ── Vue Chansons ─────────────────────────────────────────────────────────
   songsPage: 1,
@@ -34,21 +43,49 @@ export const state = {
   servicePage: 1,
   serviceSection: 'Entrée',  // section active dans la vue Service
 
+  // ── Vue Setlists ─────────────────────────────────────────────────────────
+  currentSetlist: null,   // id de la setlist ouverte (voir setlists.js)
+  sharedSetlist: null,    // setlist reçue par lien (voir share.js)
+
+  // ── Vue Calendrier ───────────────────────────────────────────────────────
+  calendarMonth: null,      // 'AAAA-MM' affiché (null = mois en cours)
+  calendarLayout: 'month',  // 'month' | 'list'
+  calendarEvent: null,      // id de l'événement ouvert (voir calendar.js)
+
+  // ── Vue Tonalités (matrice chansons × chanteurs) ─────────────────────────
+  matrixPage: 1,
+  matrixSort: { by: 'title', desc: false }, // by : 'title' | 'total' | nom d'un chanteur
+
   // ── Paramètre partagé ────────────────────────────────────────────────────
   PER_PAGE: 25,
 };
 
 /**
  * Charge les données dans le state et les sauvegarde dans localStorage.
+ *
+ * Si un import précédent est en cache, les références de chansons stockées
+ * localement (setlists, historique…) sont ré-attachées aux nouveaux
+ * identifiants avant d'écraser le cache (voir storage.js).
+ *
  * @param {Object} data - Objet retourné par le parser
  */
 export function setData(data) {
+  const previous = loadFromCache();
+  if (previous?.songs?.length) {
+    relinkSongRefs(buildSongIdMap(previous.songs, data.songs || []));
+  }
+
   state.songs       = data.songs        || [];
+  state.songs.forEach(s => { s.sections ||= [s.section]; }); // cache antérieur à la fusion
   state.members     = data.members      || [];
   state.progressions= data.progressions || {};
+  state.progressionCharts = Object.fromEntries(
+    Object.entries(state.progressions).map(([key, text]) => [key, parseChart(text)]));
   state.vocalRanges = data.vocalRanges  || {};
   state.vocalGroups = data.vocalGroups  || {};
   state.tasks       = data.tasks        || {};
+  state.performers  = data.performers   || derivePerformers(state.songs);
+  state.diagnostics = data.diagnostics  || null;
 
   // Sauvegarde dans localStorage pour persistence entre sessions
   try {
@@ -56,6 +93,9 @@ export function setData(data) {
   } catch (e) {
     console.warn('[State] Impossible de sauvegarder dans localStorage :', e.message);
   }
+
+  // Dernière fois / jours passés d'après l'historique (le cache garde les valeurs du classeur)
+  applyHistory(state.songs);
 }
 
 /**
@@ -79,13 +119,23 @@ export function resetState() {
   state.songs = [];
   state.members = [];
   state.progressions = {};
+  state.progressionCharts = {};
   state.vocalRanges = {};
   state.vocalGroups = {};
   state.tasks = {};
+  state.performers = { singers: [], musicians: [] };
+  state.diagnostics = null;
   state.currentView = 'dashboard';
   state.songsPage = 1;
   state.selectedMember = null;
   state.memberSongsPage = 1;
   state.servicePage = 1;
   state.serviceSection = 'Entrée';
+  state.currentSetlist = null;
+  state.sharedSetlist = null;
+  state.calendarMonth = null;
+  state.calendarLayout = 'month';
+  state.calendarEvent = null;
+  state.matrixPage = 1;
+  state.matrixSort = { by: 'title', desc: false };
 }
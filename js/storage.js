@@ -0,0 +1,89 @@
+/**
+ * STORAGE.JS — Données locales de l'utilisateur (localStorage)
+ *
+ * Les données importées (chansons, membres…) vivent dans state.js. Ce module
+ * gère tout ce que l'app enregistre EN PLUS et qui fait référence aux
+ * chansons par leur identifiant (setlists, historique, notes…).
+ *
+ * Chaque module propriétaire d'un magasin le déclare avec registerSongRefs() :
+ * lors d'un ré-import, relinkSongRefs() réécrit les identifiants qui ont changé
+ * (voir buildSongIdMap() dans song-ids.js).
+ */
+
+const _songRefStores = new Map(); // clé localStorage → fonction de réécriture
+
+
+/**
+ * Lit une valeur JSON depuis localStorage.
+ * @param {string} key
+ * @param {*} fallback - Valeur retournée si absente ou illisible
+ * @returns {*}
+ */
+export function readStore(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (e) {
+    console.warn(`[Storage] Erreur de lecture de "${key}" :`, e.message);
+    return fallback;
+  }
+}
+
+/**
+ * Écrit une valeur JSON dans localStorage.
+ * @param {string} key
+ * @param {*} value
+ * @returns {boolean} true si l'écriture a réussi
+ */
+export function writeStore(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (e) {
+    console.warn(`[Storage] Impossible de sauvegarder "${key}" :`, e.message);
+    return false;
+  }
+}
+
+/**
+ * Déclare un magasin contenant des références de chansons.
+ *
+ * @param {string}   key   - Clé localStorage
+ * @param {Function} remap - (valeur, mapId) → nouvelle valeur ; mapId(id) retourne
+ *                           le nouvel identifiant (ou l'ancien s'il n'a pas changé)
+ */
+export function registerSongRefs(key, remap) {
+  _songRefStores.set(key, remap);
+}
+
+/**
+ * Liste des clés localStorage déclarées (utilisé par la sauvegarde JSON).
+ * @returns {string[]}
+ */
+export function songRefStoreKeys() {
+  return [..._songRefStores.keys()];
+}
+
+/**
+ * Réécrit les références de chansons de tous les magasins déclarés.
+ *
+ * @param {Object} idMap - { ancienId: nouvelId }
+ * @returns {number} nombre de magasins modifiés
+ */
+export function relinkSongRefs(idMap) {
+  if (!idMap || !Object.keys(idMap).length) return 0;
+
+  const mapId = (id) => idMap[id] || id;
+  let changed = 0;
+
+  _songRefStores.forEach((remap, key) => {
+    const value = readStore(key, null);
+    if (value == null) return;
+
+    const before = JSON.stringify(value);
+    const next   = remap(value, mapId);
+    if (JSON.stringify(next) !== before && writeStore(key, next)) changed++;
+  });
+
+  return changed;
+}
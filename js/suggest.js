@@ -0,0 +1,164 @@
+/**
+ * SUGGEST.JS — Setlist proposée selon des règles de rotation
+ *
+ * Complète chaque section d'une setlist jusqu'au nombre de chansons voulu.
+ * Chaque chanson candidate reçoit des points :
+ *  - repos      : jours depuis la dernière fois (plafonnés), une chanson sans
+ *                 date compte comme la plus reposée
+ *  - progression: une progression d'accords est disponible
+ *  - langue     : sa langue est la moins représentée de la setlist (FR/ENG/LNGL)
+ *  - variété    : un peu de hasard, pour obtenir une autre proposition
+ * Sont écartées : les chansons des N derniers cultes, celles déjà dans la
+ * setlist, et celles sans aucun chanteur ayant une tonalité lisible.
+ *
+ * Le lead est choisi parmi les chanteurs ayant une tonalité notée : celui qui
+ * mène le moins de chansons dans la setlist, puis sur les derniers cultes.
+ * Chaque choix est expliqué (item.reasons, item.leadReason).
+ */
+
+import { SUGGESTION_RULES, LANGUE_LABELS } from './config.js';
+import { parseKeyText }                    from './keys.js';
+import { getPref, setPref }                from './prefs.js';
+import { SERVICE_SECTIONS, makeSetlistItem, sectionEndIndex } from './setlists.js';
+
+// Langues équilibrées entre elles
+const BALANCED_LANGUAGES = ['FR', 'ENG', 'LNGL'];
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// RÈGLES
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Règles en vigueur : valeurs par défaut (config.js) et préférences enregistrées.
+ * @returns {Object} même forme que SUGGESTION_RULES
+ */
+export function suggestionRules() {
+  const saved = getPref('suggestRules') || {};
+  return {
+    ...SUGGESTION_RULES,
+    ...saved,
+    perSection: { ...SUGGESTION_RULES.perSection, ...saved.perSection },
+    weights:    { ...SUGGESTION_RULES.weights,    ...saved.weights },
+  };
+}
+
+/**
+ * Enregistre les règles dans les préférences.
+ * @param {Object} rules
+ */
+export function saveSuggestionRules(rules) {
+  setPref('suggestRules', rules);
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PROPOSITION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Complète une setlist. Les chansons déjà choisies sont gardées et comptent
+ * pour l'équilibre des langues et des leads.
+ *
+ * @param {Object}   setlist  - Setlist à compléter (non modifiée)
+ * @param {Object[]} songs    - state.songs
+ * @param {Object[]} setlists - Toutes les setlists enregistrées
+ * @param {Object}   [rules]  - Voir suggestionRules()
+ * @param {Function} [random] - Source de hasard (0 ≤ x < 1)
+ * @returns {{ items: Object[], added: number, shortfalls: Array<{ section, missing }> }}
+ */
+export function suggestSetlist(setlist, songs, setlists, rules = suggestionRules(), random = Math.random) {
+  const recent = setlists
+    .filter(s => s.id !== setlist.id && s.date < setlist.date)
+    .sort((a, b) => b.date.localeCompare(a.date))
+    .slice(0, rules.recentServices);
+  const recentSongs = new Set(recent.flatMap(s => s.items.map(i => i.songId)));
+  const recentLeads = countBy(recent.flatMap(s => s.items.map(i => i.lead)).filter(Boolean));
+
+  const songById = new Map(songs.map(s => [s.id, s]));
+  const items    = [...setlist.items];
+  const used     = new Set(items.map(i => i.songId));
+  const context  = { rules, random, items, songById, recentLeads };
+
+  const shortfalls = [];
+  let added = 0;
+
+  SERVICE_SECTIONS.forEach(section => {
+    let missing = (rules.perSection[section] || 0) - items.filter(i => i.section === section).length;
+
+    while (missing > 0) {
+      const candidates = songs.filter(s =>
+        s.sections.includes(section) && !used.has(s.id) && !recentSongs.has(s.id) && leadsFor(s).length
+      );
+      if (!candidates.length) break;
+
+      const best = candidates
+        .map(song => ({ song, ...scoreSong(song, context) }))
+        .sort((a, b) => b.score - a.score)[0];
+
+      const item = { ...makeSetlistItem(best.song, section), reasons: best.reasons };
+      assignLead(item, best.song, context);
+
+      items.splice(sectionEndIndex(items, section), 0, item);
+      used.add(best.song.id);
+      added++;
+      missing--;
+    }
+    if (missing > 0) shortfalls.push({ section, missing });
+  });
+
+  return { items, added, shortfalls };
+}
+
+/** Points d'une chanson candidate et leurs raisons */
+function scoreSong(song, { rules, random, items, songById }) {
+  const { weights, restCapDays } = rules;
+  const reasons = [];
+
+  const days = song.daysPast ?? restCapDays;
+  let score = Math.min(days, restCapDays) / restCapDays * weights.rest;
+  reasons.push(song.daysPast == null ? 'jamais chantée (ou date inconnue)' : `${song.daysPast} jours depuis la dernière fois`);
+
+  if (song.hasProgression && weights.progression) {
+    score += weights.progression;
+    reasons.push('progression disponible');
+  }
+
+  if (BALANCED_LANGUAGES.includes(song.langue) && weights.language) {
+    const counts = countBy(items.map(i => songById.get(i.songId)?.langue));
+    const fewest = Math.min(...BALANCED_LANGUAGES.map(l => counts[l] || 0));
+    if ((counts[song.langue] || 0) === fewest) {
+      score += weights.language;
+      reasons.push(`équilibre des langues (${LANGUE_LABELS[song.langue] || song.langue})`);
+    }
+  }
+
+  score += random() * (weights.variety || 0);
+  return { score, reasons };
+}
+
+/** Lead le moins sollicité parmi ceux qui ont une tonalité lisible */
+function assignLead(item, song, { items, recentLeads, rules }) {
+  const inSetlist = countBy(items.map(i => i.lead).filter(Boolean));
+  const lead = leadsFor(song)
+    .map((name, order) => ({ name, order, now: inSetlist[name] || 0, before: recentLeads[name] || 0 }))
+    .sort((a, b) => a.now - b.now || a.before - b.before || a.order - b.order)[0];
+
+  item.lead = lead.name;
+  item.key  = song.memberKeys[lead.name];
+  item.leadReason = `lead : ${lead.name}, tonalité notée · ${lead.now} autre(s) chanson(s) dans ce culte, `
+    + `${lead.before} sur les ${rules.recentServices} derniers`;
+}
+
+/** Chanteurs ayant une tonalité lisible pour la chanson */
+function leadsFor(song) {
+  return Object.entries(song.memberKeys)
+    .filter(([, key]) => parseKeyText(key))
+    .map(([name]) => name);
+}
+
+function countBy(values) {
+  const counts = {};
+  values.forEach(v => { if (v != null) counts[v] = (counts[v] || 0) + 1; });
+  return counts;
+}
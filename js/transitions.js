@@ -0,0 +1,149 @@
+/**
+ * TRANSITIONS.JS — Enchaînement des tonalités entre deux chansons
+ *
+ * D'une chanson à la suivante, le groupe change souvent de lead et de
+ * tonalité. Chaque passage reçoit un score selon la distance des deux
+ * tonalités sur le cycle des quintes (armures) :
+ *   même tonalité / relative > voisine (quarte, quinte) > un ton > tierces
+ *   > demi-ton, triton (délicats)
+ * et un accord de pont vers la nouvelle tonalité : sa dominante (V7) pour
+ * les tonalités proches, une cadence ii–V au-delà.
+ *
+ * Une modulation ("E > G#") part de sa dernière tonalité et arrive sur la
+ * première de la chanson suivante.
+ */
+
+import { parseKeyText, keySignature, normalizeKey, degreeNote, sameKey } from './keys.js';
+
+// Score selon la distance sur le cycle des quintes (0 à 6)
+const DISTANCE_SCORES = [100, 88, 72, 60, 55, 35, 30];
+const PARALLEL_SCORE  = 80; // même tonique, majeur ↔ mineur
+const RELATIVE_SCORE  = 95;
+
+/** Seuils de score (0 à 100) */
+export const TRANSITION_SMOOTH = 80;
+export const TRANSITION_OK     = 55;
+
+// Intervalle entre les toniques, par nombre de demi-tons vers le haut
+const INTERVAL_LABELS = [
+  'même tonique',
+  'un demi-ton plus haut', 'un ton plus haut',
+  'une tierce mineure plus haut', 'une tierce majeure plus haut',
+  'une quarte plus haut', 'un triton',
+  'une quarte plus bas', 'une tierce majeure plus bas', 'une tierce mineure plus bas',
+  'un ton plus bas', 'un demi-ton plus bas',
+];
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// TRANSITION ENTRE DEUX TONALITÉS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Évalue le passage d'une tonalité à une autre.
+ * Ex: G → C : { score: 88, level: 'smooth', label: 'une quarte plus haut · tonalité voisine',
+ *               bridge: ['G7'], advice: … }
+ *
+ * @param {Object} from - Tonalité de fin de la chanson précédente
+ * @param {Object} to   - Tonalité de début de la suivante
+ * @returns {{ score: number, level: 'smooth'|'ok'|'rough', label: string,
+ *             bridge: string[], advice: string }}
+ */
+export function keyTransition(from, to) {
+  const target   = normalizeKey(to);
+  const interval = (to.pitch - from.pitch + 12) % 12;
+  const distance = fifthsDistance(from, to);
+  const dominant = [degreeNote(5, 0, target) + '7'];
+
+  let score, label, bridge, advice;
+  if (sameKey(from, to)) {
+    score  = 100;
+    label  = 'même tonalité';
+    bridge = [];
+    advice = 'Enchaîner directement';
+  } else if (interval === 0) {
+    score  = PARALLEL_SCORE;
+    label  = `même tonique, ${to.minor ? 'majeur → mineur' : 'mineur → majeur'}`;
+    bridge = dominant;
+    advice = 'La même dominante mène aux deux modes';
+  } else if (distance === 0) {
+    score  = RELATIVE_SCORE;
+    label  = `tonalité relative (${INTERVAL_LABELS[interval]})`;
+    bridge = dominant;
+    advice = 'Un accord de dominante suffit';
+  } else {
+    score  = DISTANCE_SCORES[distance];
+    label  = INTERVAL_LABELS[interval] + (distance === 1 ? ' · tonalité voisine' : '');
+    bridge = distance === 1 ? dominant : [supertonic(target), ...dominant];
+    advice = distance === 1 ? 'Un accord de dominante suffit'
+      : distance < 5        ? 'Cadence ii–V vers la nouvelle tonalité'
+      : 'Passage délicat : marquer une pause, tenir une note commune ou passer par ii–V';
+  }
+
+  return { score, level: transitionLevel(score), label, bridge, advice };
+}
+
+/**
+ * Niveau d'un score : 'smooth' (fluide), 'ok', 'rough' (délicat).
+ * @param {number} score
+ * @returns {'smooth'|'ok'|'rough'}
+ */
+export function transitionLevel(score) {
+  return score >= TRANSITION_SMOOTH ? 'smooth' : score >= TRANSITION_OK ? 'ok' : 'rough';
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SUITE DE CHANSONS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Tonalité jouée pour une chanson : celle choisie, à défaut celle du lead
+ * (memberKeys), à défaut l'originale.
+ *
+ * @param {Object} song
+ * @param {string} [key]  - Tonalité choisie
+ * @param {string} [lead] - Chanteur
+ * @returns {string}
+ */
+export function playedKey(song, key, lead) {
+  return key || (lead && song.memberKeys[lead]) || song.originalKey || '';
+}
+
+/**
+ * Transitions d'une suite ordonnée de chansons.
+ *
+ * @param {Array<{ song: Object, key?: string, lead?: string }>} entries
+ * @returns {Array<Object|null>} une par passage (entries.length - 1) : voir
+ *          keyTransition(), avec from / to (noms des tonalités) ; null si
+ *          une des deux tonalités est illisible
+ */
+export function songTransitions(entries) {
+  const keys = entries.map(({ song, key, lead }) => parseKeyText(playedKey(song, key, lead)));
+
+  return entries.slice(1).map((_, i) => {
+    const before = keys[i];
+    const after  = keys[i + 1];
+    if (!before || !after) return null;
+
+    const from = before[before.length - 1];
+    const to   = after[0];
+    return { from, to, ...keyTransition(from, to) };
+  });
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Distance sur le cycle des quintes (0 à 6), relatives confondues */
+function fifthsDistance(a, b) {
+  const diff = ((keySignature(b) - keySignature(a)) % 12 + 12) % 12;
+  return Math.min(diff, 12 - diff);
+}
+
+/** Accord du 2e degré : "Am7" vers G, "Bm7b5" vers Am */
+function supertonic(key) {
+  return degreeNote(2, 0, key) + (key.minor ? 'm7b5' : 'm7');
+}
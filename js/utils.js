@@ -5,6 +5,8 @@
  * dans plusieurs vues : formatage, pagination, toast, échappement HTML.
  */
 
+import { SECTION_CSS } from './config.js';
+
 
 // ─────────────────────────────────────────────────────────────────────────────
 // SÉCURITÉ — Échappement HTML
@@ -61,6 +63,26 @@ export function daysSince(dateStr) {
   return Math.floor((now - d) / 86_400_000);
 }
 
+/**
+ * Date ISO locale d'un objet Date ("2026-10-25").
+ * @param {Date} date
+ * @returns {string}
+ */
+export function isoDate(date) {
+  return [date.getFullYear(), date.getMonth() + 1, date.getDate()].map(n => String(n).padStart(2, '0')).join('-');
+}
+
+/**
+ * Badges de section d'une chanson (plusieurs si elle a été fusionnée).
+ * @param {Object} song
+ * @returns {string} HTML
+ */
+export function sectionBadges(song) {
+  return (song.sections || [song.section])
+    .map(sec => `<span class="badge badge-${SECTION_CSS[sec] || 'entree'}">${esc(sec)}</span>`)
+    .join(' ');
+}
+
 
 // ─────────────────────────────────────────────────────────────────────────────
 // TOAST (notification temporaire)
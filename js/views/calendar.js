@@ -0,0 +1,510 @@
+/**
+ * VIEWS/CALENDAR.JS — Vue Calendrier (cultes, répétitions, événements)
+ *
+ *  - mois ou liste, navigation de mois en mois
+ *  - ⚠ À pourvoir : ce qui manque pour les quatre prochaines semaines
+ *    (setlist, lead, musiciens, groupe vocal)
+ *  - un événement s'ouvre sous le calendrier : setlist liée, leads,
+ *    musiciens par instrument, groupe vocal
+ *  - ⚙ Récurrences : cultes, répétitions… répétés chaque semaine
+ *  - ⤓ Exporter .ics : toute la chorale ou un membre (ics.js)
+ *
+ * Données et règles : calendar.js. Chaque modification est enregistrée aussitôt.
+ */
+
+import { state }                from '../state.js';
+import { EVENT_TYPES, INSTRUMENTS } from '../config.js';
+import { esc, formatDate, isoDate, normalizePersonName, showToast } from '../utils.js';
+import { musicianLabel, musicianInfo } from '../instruments.js';
+import { loadSetlists, saveSetlist, createSetlist } from '../setlists.js';
+import { loadCalendar, addSeries, deleteSeries, createEvent, eventsBetween, findEvent,
+         saveEvent, deleteEvent, eventAssignments, missingAssignments, addDays } from '../calendar.js';
+import { setlistLabel }         from './setlists.js';
+import { buildIcs, downloadIcs, servedEventIds, previousExport, recordExport } from '../ics.js';
+
+const WEEKDAYS      = ['Dimanche', 'Lundi', 'Mardi', 'Mercredi', 'Jeudi', 'Vendredi', 'Samedi'];
+const UPCOMING_DAYS = 28;
+const ICS_DAYS      = 90;  // période exportée, à partir de la semaine passée
+const INHERIT       = 'inherit'; // valeur d'un instrument repris de la setlist
+
+
+/** Initialise les écouteurs (délégués : le contenu est re-rendu à chaque modification). */
+export function initCalendarView() {
+  document.getElementById('calendar-prev')?.addEventListener('click', () => shiftMonth(-1));
+  document.getElementById('calendar-next')?.addEventListener('click', () => shiftMonth(1));
+  document.getElementById('calendar-today')?.addEventListener('click', () => {
+    state.calendarMonth = null;
+    renderCalendar();
+  });
+  document.getElementById('calendar-add-btn')?.addEventListener('click', addSpecialEvent);
+  document.getElementById('calendar-ics-btn')?.addEventListener('click', exportIcs);
+
+  document.querySelectorAll('#calendar-layout [data-layout]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      state.calendarLayout = btn.dataset.layout;
+      renderCalendar();
+    });
+  });
+
+  const page = document.getElementById('page-calendar');
+  page?.addEventListener('click', e => {
+    const target = e.target.closest('[data-event]');
+    if (target) openEvent(target.dataset.event);
+  });
+
+  const editor = document.getElementById('calendar-event');
+  editor?.addEventListener('change', onEventChange);
+  editor?.addEventListener('click', onEventClick);
+
+  const series = document.getElementById('calendar-series');
+  series?.addEventListener('click', onSeriesClick);
+}
+
+/** Rend le calendrier, les manques à venir et l'événement ouvert. */
+export function renderCalendar() {
+  const calendar = loadCalendar();
+  const setlists = loadSetlists();
+  const month    = currentMonth();
+
+  document.getElementById('calendar-month-label').textContent = monthLabel(month);
+  document.querySelectorAll('#calendar-layout [data-layout]').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.layout === state.calendarLayout);
+  });
+
+  const context = { setlists, instruments: bandInstruments(), hasGroups: !!Object.keys(state.vocalGroups).length };
+  renderUpcoming(calendar, context);
+
+  const first = `${month}-01`;
+  const last  = addDays(addDays(first, 32).slice(0, 8) + '01', -1);
+  document.getElementById('calendar-body').innerHTML = state.calendarLayout === 'list'
+    ? buildList(eventsBetween(calendar, first, last), context)
+    : buildMonth(calendar, first, last, context);
+
+  renderEventEditor(calendar, context);
+  renderSeries(calendar);
+  renderIcsMembers();
+}
+
+function shiftMonth(delta) {
+  const [y, m] = currentMonth().split('-').map(Number);
+  state.calendarMonth = isoDate(new Date(y, m - 1 + delta, 1)).slice(0, 7);
+  renderCalendar();
+}
+
+/** 'AAAA-MM' affiché */
+function currentMonth() {
+  return state.calendarMonth || isoDate(new Date()).slice(0, 7);
+}
+
+function monthLabel(month) {
+  const [y, m] = month.split('-').map(Number);
+  const label = new Date(y, m - 1, 1).toLocaleDateString('fr-CA', { month: 'long', year: 'numeric' });
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MOIS / LISTE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Grille du mois, semaines du lundi au dimanche */
+function buildMonth(calendar, first, last, context) {
+  const weekday  = new Date(first + 'T00:00:00').getDay();
+  const start    = addDays(first, -((weekday + 6) % 7));
+  const today    = isoDate(new Date());
+
+  const days = [];
+  for (let date = start; date <= last || days.length % 7; date = addDays(date, 1)) days.push(date);
+
+  const events = eventsBetween(calendar, start, days[days.length - 1]);
+  const heads  = [...WEEKDAYS.slice(1), WEEKDAYS[0]];
+
+  return `
+    <div class="cal-grid">
+      ${heads.map(d => `<div class="cal-head">${d.slice(0, 3)}.</div>`).join('')}
+      ${days.map(date => `
+        <div class="cal-day${date < first || date > last ? ' outside' : ''}${date === today ? ' today' : ''}">
+          <div class="cal-day-number">${Number(date.slice(8))}</div>
+          ${events.filter(e => e.date === date).map(e => eventChip(e, context)).join('')}
+        </div>`).join('')}
+    </div>`;
+}
+
+function eventChip(event, context) {
+  const missing = missingFor(event, context);
+  return `
+    <button class="cal-event cal-${event.type}${event.id === state.calendarEvent ? ' selected' : ''}" data-event="${esc(event.id)}"
+            title="${esc(missing.length ? 'À pourvoir : ' + missing.join(', ') : 'Complet')}">
+      ${EVENT_TYPES[event.type]?.icon || ''} ${esc(event.time)} ${esc(event.title || EVENT_TYPES[event.type]?.label)}${missing.length ? ' <span class="cal-missing">⚠</span>' : ''}
+    </button>`;
+}
+
+/** Liste des événements du mois, avec leurs affectations */
+function buildList(events, context) {
+  if (!events.length) {
+    return '<div class="empty-state"><div class="empty-text">Aucun événement ce mois-ci</div></div>';
+  }
+  return `<div class="cal-list">${events.map(e => eventRow(e, context)).join('')}</div>`;
+}
+
+function eventRow(event, context) {
+  const assigned = eventAssignments(event, context.setlists);
+  const missing  = missingFor(event, context);
+  const band     = Object.values(assigned.band).filter(Boolean).map(musicianLabel);
+
+  return `
+    <div class="cal-row${event.id === state.calendarEvent ? ' selected' : ''}" data-event="${esc(event.id)}">
+      <div class="cal-row-date">${esc(formatDate(event.date))}${event.time ? `<span>${esc(event.time)}</span>` : ''}</div>
+      <div class="cal-row-body">
+        <div class="cal-row-title">${EVENT_TYPES[event.type]?.icon || ''} ${esc(event.title || EVENT_TYPES[event.type]?.label)}</div>
+        <div class="cal-row-meta">
+          ${assigned.setlist ? `🗓️ ${esc(setlistLabel(assigned.setlist))}` : ''}
+          ${assigned.leads.length ? ` · 🎙️ ${esc(assigned.leads.join(', '))}` : ''}
+          ${band.length ? ` · 🎹 ${esc(band.join(', '))}` : ''}
+          ${assigned.vocalGroup ? ` · 👥 ${esc(assigned.vocalGroup)}` : ''}
+        </div>
+        ${missing.length ? `<div class="cal-row-missing">⚠ À pourvoir : ${esc(missing.join(', '))}</div>` : ''}
+      </div>
+    </div>`;
+}
+
+/** Ce qui manque pour les quatre prochaines semaines */
+function renderUpcoming(calendar, context) {
+  const today  = isoDate(new Date());
+  const events = eventsBetween(calendar, today, addDays(today, UPCOMING_DAYS - 1))
+    .map(event => ({ event, missing: missingFor(event, context) }))
+    .filter(({ missing }) => missing.length);
+
+  document.getElementById('calendar-upcoming').innerHTML = `
+    <div class="cal-upcoming-title">⚠ À pourvoir — 4 prochaines semaines</div>
+    ${events.length
+      ? events.map(({ event, missing }) => `
+          <button class="cal-upcoming-item" data-event="${esc(event.id)}">
+            <strong>${esc(formatDate(event.date))}</strong>
+            ${EVENT_TYPES[event.type]?.icon || ''} ${esc(event.title || EVENT_TYPES[event.type]?.label)}
+            <span>${esc(missing.join(', '))}</span>
+          </button>`).join('')
+      : '<p class="cal-upcoming-ok">Tout est pourvu ✓</p>'}`;
+}
+
+function missingFor(event, { setlists, instruments, hasGroups }) {
+  return missingAssignments(event, eventAssignments(event, setlists), instruments, hasGroups);
+}
+
+/** Instruments des musiciens du classeur */
+function bandInstruments() {
+  return [...new Set(state.performers.musicians.map(m => m.instrument || ''))];
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ÉVÉNEMENT OUVERT
+// ─────────────────────────────────────────────────────────────────────────────
+
+function openEvent(id) {
+  state.calendarEvent = id;
+  const date = id.includes('@') ? id.split('@')[1] : findEvent(loadCalendar(), id)?.date;
+  if (date) state.calendarMonth = date.slice(0, 7);
+  renderCalendar();
+  document.getElementById('calendar-event')?.scrollIntoView?.({ behavior: 'smooth', block: 'nearest' });
+}
+
+function renderEventEditor(calendar, { setlists, instruments }) {
+  const editor = document.getElementById('calendar-event');
+  const event  = state.calendarEvent ? findEvent(calendar, state.calendarEvent) : null;
+  if (!event || event.cancelled) {
+    editor.innerHTML = '';
+    return;
+  }
+
+  const assigned = eventAssignments(event, setlists);
+  const musicians = instrument => state.performers.musicians.filter(m => (m.instrument || '') === instrument);
+
+  editor.innerHTML = `
+    <div class="cal-editor">
+      <div class="cal-editor-header">
+        <span class="badge cal-badge-${event.type}">${EVENT_TYPES[event.type]?.icon || ''} ${esc(EVENT_TYPES[event.type]?.label || '')}</span>
+        <strong>${esc(formatDate(event.date))}</strong>
+        ${event.seriesId ? '<span class="cal-editor-note">récurrent</span>' : ''}
+        <button class="page-btn" data-close title="Fermer">✕</button>
+      </div>
+
+      <div class="setlist-meta">
+        <label class="setlist-field setlist-field-wide">
+          <span>Intitulé</span>
+          <input class="search-input" data-field="title" value="${esc(event.title)}">
+        </label>
+        ${event.seriesId ? '' : `
+          <label class="setlist-field">
+            <span>Date</span>
+            <input type="date" class="search-input" data-field="date" value="${esc(event.date)}">
+          </label>
+          <label class="setlist-field">
+            <span>Type</span>
+            <select class="filter-select" data-field="type">
+              ${Object.entries(EVENT_TYPES).map(([type, t]) => `<option value="${type}" ${event.type === type ? 'selected' : ''}>${esc(t.label)}</option>`).join('')}
+            </select>
+          </label>`}
+        <label class="setlist-field">
+          <span>Heure</span>
+          <input type="time" class="search-input" data-field="time" value="${esc(event.time)}">
+        </label>
+      </div>
+
+      <div class="cal-editor-row">
+        <label class="setlist-field">
+          <span>Setlist</span>
+          <select class="filter-select" data-field="setlistId">
+            <option value="">${assigned.linkedByDate ? `Même date : ${esc(setlistLabel(assigned.setlist))}` : 'Aucune'}</option>
+            ${setlists.map(s => `<option value="${s.id}" ${event.setlistId === s.id ? 'selected' : ''}>${esc(setlistLabel(s))}</option>`).join('')}
+          </select>
+        </label>
+        ${assigned.setlist
+          ? `<button class="key-chip" data-open-setlist="${assigned.setlist.id}">Ouvrir la setlist</button>`
+          : '<button class="key-chip" data-create-setlist>＋ Créer la setlist</button>'}
+      </div>
+
+      <div class="cal-editor-block">
+        <div class="setlist-rules-title">Leads${leadsNote(event, assigned)}</div>
+        <div class="cal-leads">
+          ${state.performers.singers.map(name => `
+            <label class="cal-lead"><input type="checkbox" data-lead="${esc(name)}" ${assigned.leads.includes(name) ? 'checked' : ''}> ${esc(name)}</label>`).join('')}
+        </div>
+        ${assigned.setlist && Array.isArray(event.leads)
+          ? '<button class="key-chip" data-inherit-leads>↺ Reprendre les leads de la setlist</button>'
+          : ''}
+      </div>
+
+      ${instruments.length ? `
+        <div class="setlist-band">
+          ${instruments.map(instrument => `
+            <label class="setlist-field">
+              <span>${esc(INSTRUMENTS[instrument]?.label || 'Musicien')}</span>
+              <select class="filter-select" data-band="${esc(instrument)}">
+                ${bandChoices(event, assigned.setlist, instrument)}
+                ${musicians(instrument).map(m => `<option value="${esc(m.key)}" ${event.band[instrument] === m.key ? 'selected' : ''}>${esc(m.name)}</option>`).join('')}
+              </select>
+            </label>`).join('')}
+        </div>` : ''}
+
+      ${Object.keys(state.vocalGroups).length ? `
+        <label class="setlist-field">
+          <span>Groupe vocal</span>
+          <select class="filter-select" data-field="vocalGroup">
+            <option value="">—</option>
+            ${Object.keys(state.vocalGroups).map(g => `<option value="${esc(g)}" ${event.vocalGroup === g ? 'selected' : ''}>${esc(g)}</option>`).join('')}
+          </select>
+        </label>` : ''}
+
+      <div class="cal-editor-actions">
+        <button class="key-chip" data-delete>${event.seriesId ? '🚫 Annuler cette date' : '🗑 Supprimer l\'événement'}</button>
+      </div>
+    </div>`;
+}
+
+/** " repris de la setlist" / " aucun" à côté du titre Leads */
+function leadsNote(event, assigned) {
+  if (Array.isArray(event.leads)) {
+    return event.leads.length ? '' : ' <span class="cal-editor-note">aucun</span>';
+  }
+  return assigned.setlist ? ' <span class="cal-editor-note">repris de la setlist</span>' : '';
+}
+
+/**
+ * Premières options d'un instrument : reprendre le musicien de la setlist,
+ * ou n'en prévoir aucun (sans setlist, les deux reviennent au même).
+ */
+function bandChoices(event, setlist, instrument) {
+  const own = event.band[instrument];
+  if (!setlist) {
+    return `<option value="${INHERIT}" ${own ? '' : 'selected'}>—</option>`;
+  }
+  const inherited = setlist.band[instrument];
+  return `
+    <option value="${INHERIT}" ${own == null ? 'selected' : ''}>Setlist : ${esc(inherited ? musicianInfo(inherited).name : '—')}</option>
+    <option value="" ${own === '' ? 'selected' : ''}>— Aucun</option>`;
+}
+
+/** Applique une modification à l'événement ouvert, l'enregistre et re-rend. */
+function updateEvent(change) {
+  const calendar = loadCalendar();
+  const event    = findEvent(calendar, state.calendarEvent);
+  if (!event) return;
+  change(event, calendar);
+  if (!saveEvent(calendar, event)) showToast('Impossible d\'enregistrer le calendrier', 'error');
+  renderCalendar();
+}
+
+function onEventChange(e) {
+  const el = e.target;
+
+  if (el.dataset.lead != null) {
+    const setlists = loadSetlists();
+    updateEvent(event => {
+      const leads = new Set(eventAssignments(event, setlists).leads);
+      el.checked ? leads.add(el.dataset.lead) : leads.delete(el.dataset.lead);
+      event.leads = state.performers.singers.filter(name => leads.has(name));
+    });
+  } else if (el.dataset.band != null) {
+    updateEvent(event => {
+      event.band = { ...event.band, [el.dataset.band]: el.value };
+      if (el.value === INHERIT) delete event.band[el.dataset.band];
+    });
+  } else if (el.dataset.field) {
+    const value = el.value.trim();
+    if (el.dataset.field === 'date' && !value) return;
+    updateEvent(event => { event[el.dataset.field] = value; });
+  }
+}
+
+function onEventClick(e) {
+  if (e.target.closest('[data-close]')) {
+    state.calendarEvent = null;
+    renderCalendar();
+  } else if (e.target.closest('[data-inherit-leads]')) {
+    updateEvent(event => { event.leads = null; });
+  } else if (e.target.closest('[data-open-setlist]')) {
+    window._openSetlist(e.target.closest('[data-open-setlist]').dataset.openSetlist);
+  } else if (e.target.closest('[data-create-setlist]')) {
+    updateEvent(event => {
+      const setlist = createSetlist(event.date);
+      setlist.title = event.type === 'service' ? '' : event.title;
+      saveSetlist(setlist);
+      event.setlistId = setlist.id;
+    });
+    showToast('Setlist créée', 'success');
+  } else if (e.target.closest('[data-delete]')) {
+    const calendar = loadCalendar();
+    const event    = findEvent(calendar, state.calendarEvent);
+    const label    = `${event.title || EVENT_TYPES[event.type]?.label} du ${formatDate(event.date)}`;
+    if (!confirm(event.seriesId ? `Annuler ${label} ?` : `Supprimer ${label} ?`)) return;
+    deleteEvent(calendar, event);
+    state.calendarEvent = null;
+    renderCalendar();
+  }
+}
+
+/** ＋ Événement : événement ponctuel au premier jour affiché à venir */
+function addSpecialEvent() {
+  const today = isoDate(new Date());
+  const month = currentMonth();
+  const date  = today.startsWith(month) ? today : `${month}-01`;
+
+  const calendar = loadCalendar();
+  const event    = { ...createEvent(date), title: 'Nouvel événement' };
+  saveEvent(calendar, event);
+  state.calendarEvent = event.id;
+  renderCalendar();
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// EXPORT .ICS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Choix du calendrier exporté : la chorale ou un membre (sélection conservée) */
+function renderIcsMembers() {
+  const select  = document.getElementById('calendar-ics-member');
+  const current = select.value;
+  const names   = [...new Set(state.members.map(m => m.name))].sort((a, b) => a.localeCompare(b));
+
+  select.innerHTML = `<option value="">Toute la chorale</option>`
+    + names.map(name => `<option value="${esc(name)}" ${name === current ? 'selected' : ''}>${esc(name)}</option>`).join('');
+}
+
+function exportIcs() {
+  const member = document.getElementById('calendar-ics-member').value || null;
+  const today  = isoDate(new Date());
+  const events = eventsBetween(loadCalendar(), addDays(today, -7), addDays(today, ICS_DAYS), true);
+
+  const context = {
+    setlists:    loadSetlists(),
+    songs:       state.songs,
+    vocalGroups: state.vocalGroups,
+    member,
+    exported:    member ? previousExport(member) : [],
+  };
+  const content = buildIcs(events, context);
+  if (member && !content.includes('BEGIN:VEVENT')) {
+    showToast(`Aucun événement prévu pour ${member}`, 'error');
+    return;
+  }
+  downloadIcs(content, `lwc-calendrier-${member ? normalizePersonName(member) : 'chorale'}.ics`);
+  if (member) recordExport(member, servedEventIds(events, context));
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// RÉCURRENCES
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Panneau des récurrences (le <details> garde son état ouvert/fermé entre deux rendus) */
+function renderSeries(calendar) {
+  document.getElementById('calendar-series').innerHTML = `
+    <summary>⚙ Récurrences</summary>
+    <ul class="cal-series-list">
+      ${calendar.series.map(s => `
+        <li>
+          ${EVENT_TYPES[s.type]?.icon || ''} <strong>${esc(s.title)}</strong>
+          — ${WEEKDAYS[s.weekday].toLowerCase()}${s.time ? ` à ${esc(s.time)}` : ''}${s.every > 1 ? `, toutes les ${s.every} semaines` : ', chaque semaine'}
+          <button class="page-btn" data-delete-series="${esc(s.id)}" title="Supprimer la récurrence">✕</button>
+        </li>`).join('') || '<li class="cal-editor-note">Aucune récurrence</li>'}
+    </ul>
+    <div class="setlist-rules-group">
+      <label class="setlist-field">
+        <span>Type</span>
+        <select class="filter-select" data-series="type">
+          ${Object.entries(EVENT_TYPES).map(([type, t]) => `<option value="${type}">${esc(t.label)}</option>`).join('')}
+        </select>
+      </label>
+      <label class="setlist-field">
+        <span>Intitulé</span>
+        <input class="search-input" data-series="title" placeholder="Ex : Prière du vendredi">
+      </label>
+      <label class="setlist-field">
+        <span>Jour</span>
+        <select class="filter-select" data-series="weekday">
+          ${WEEKDAYS.map((d, i) => `<option value="${i}">${d}</option>`).join('')}
+        </select>
+      </label>
+      <label class="setlist-field">
+        <span>Heure</span>
+        <input type="time" class="search-input" data-series="time">
+      </label>
+      <label class="setlist-field">
+        <span>Toutes les … semaines</span>
+        <input type="number" class="search-input" data-series="every" value="1" min="1" max="8">
+      </label>
+      <button class="key-chip" data-add-series>＋ Ajouter</button>
+    </div>`;
+}
+
+function onSeriesClick(e) {
+  const remove = e.target.closest('[data-delete-series]');
+  if (remove) {
+    const calendar = loadCalendar();
+    const series   = calendar.series.find(s => s.id === remove.dataset.deleteSeries);
+    if (!series || !confirm(`Supprimer la récurrence "${series.title}" et ses affectations ?`)) return;
+    deleteSeries(calendar, series.id);
+    if (state.calendarEvent?.startsWith(`${series.id}@`)) state.calendarEvent = null;
+    renderCalendar();
+    return;
+  }
+
+  if (!e.target.closest('[data-add-series]')) return;
+  const field = name => document.querySelector(`#calendar-series [data-series="${name}"]`)?.value.trim() || '';
+  const type  = field('type');
+  const series = {
+    type,
+    title:   field('title') || EVENT_TYPES[type]?.label || '',
+    weekday: Number(field('weekday')),
+    time:    field('time'),
+    every:   Math.max(1, Math.round(Number(field('every'))) || 1),
+  };
+  if (!addSeries(loadCalendar(), series)) {
+    showToast('Impossible d\'enregistrer le calendrier', 'error');
+    return;
+  }
+  showToast(`Récurrence "${series.title}" ajoutée`, 'success');
+  renderCalendar();
+}
@@ -105,7 +105,7 @@ function songPanelItem(song, panelType) {
     <div class="panel-item clickable-row" onclick="window._openModal('${song.id}')">
       <div>
         <div class="panel-item-title">${esc(song.title)}</div>
-        <div class="panel-item-sub">${song.section} · ${song.langue}</div>
+        <div class="panel-item-sub">${esc(song.sections.join(' / '))} · ${song.langue}</div>
       </div>
       <div class="days-badge ${badgeCls}">${badgeContent}</div>
     </div>`;
@@ -121,7 +121,7 @@ function renderSectionDist() {
   const total = state.songs.length;
 
   document.getElementById('section-dist').innerHTML = sections.map(sec => {
-    const count = state.songs.filter(s => s.section === sec).length;
+    const count = state.songs.filter(s => s.sections.includes(sec)).length;
     const pc    = pct(count, total);
     const cls   = SECTION_CSS[sec] || 'entree';
 
@@ -0,0 +1,163 @@
+/**
+ * VIEWS/MATRIX.JS — Vue Tonalités (chansons × chanteurs)
+ *
+ * Une ligne par chanson, une colonne par chanteur, sa tonalité dans chaque
+ * case : pour choisir un lead sans ouvrir les chansons une à une.
+ *  - filtres : recherche, section, langue
+ *  - tri : clic sur un en-tête (titre, chanteur, total)
+ *  - totaux : chansons couvertes par chanteur (pied), chanteurs par chanson
+ *  - une case ouvre la chanson, progression dans la tonalité du chanteur
+ */
+
+import { state }                from '../state.js';
+import { PER_PAGE }             from '../config.js';
+import { esc, renderPagination, sectionBadges } from '../utils.js';
+import { parseKeyText, keyName, normalizeKey } from '../keys.js';
+import { displayKey }           from '../prefs.js';
+
+
+/** Initialise les écouteurs de filtres et de tri. Appelée une fois depuis main.js. */
+export function initMatrixView() {
+  ['matrix-search','matrix-section','matrix-langue'].forEach(id => {
+    document.getElementById(id)?.addEventListener('input',  resetAndRender);
+    document.getElementById(id)?.addEventListener('change', resetAndRender);
+  });
+
+  // En-têtes générés à chaque rendu : délégation sur le tableau
+  document.getElementById('matrix-table')?.addEventListener('click', e => {
+    const th = e.target.closest('th[data-sort]');
+    if (!th) return;
+    const { by, desc } = state.matrixSort;
+    state.matrixSort = { by: th.dataset.sort, desc: by === th.dataset.sort ? !desc : th.dataset.sort === 'total' };
+    resetAndRender();
+  });
+}
+
+function resetAndRender() {
+  state.matrixPage = 1;
+  renderKeyMatrix();
+}
+
+/** Rend la matrice avec les filtres et le tri actifs. */
+export function renderKeyMatrix() {
+  const singers = matrixSingers();
+  const songs   = getFilteredSongs(singers);
+  const page    = state.matrixPage;
+  const per     = state.PER_PAGE || PER_PAGE;
+  const slice   = songs.slice((page-1)*per, page*per);
+
+  document.getElementById('matrix-results-info').textContent =
+    `${songs.length} chanson(s) · ${singers.length} chanteur(s)`;
+
+  document.getElementById('matrix-table').innerHTML = `
+    <thead>
+      <tr>
+        ${sortHeader('title', 'Chanson')}
+        ${singers.map(name => sortHeader(name, name)).join('')}
+        ${sortHeader('total', 'Total')}
+      </tr>
+    </thead>
+    <tbody>
+      ${slice.length === 0
+        ? `<tr><td colspan="${singers.length + 2}" class="empty-state"><div class="empty-text">Aucune chanson trouvée</div></td></tr>`
+        : slice.map(s => matrixRow(s, singers)).join('')}
+    </tbody>
+    <tfoot>
+      <tr>
+        <td>Couverture</td>
+        ${singers.map(name => {
+          const count = songs.filter(s => s.memberKeys[name]).length;
+          const pct   = songs.length ? Math.round(count / songs.length * 100) : 0;
+          return `<td title="${count} chanson(s) sur ${songs.length}">${count}<span class="matrix-pct">${pct}%</span></td>`;
+        }).join('')}
+        <td></td>
+      </tr>
+    </tfoot>`;
+
+  renderPagination('matrix-pagination', songs.length, page, per, p => {
+    state.matrixPage = p;
+    renderKeyMatrix();
+  });
+}
+
+function sortHeader(by, label) {
+  const { by: current, desc } = state.matrixSort;
+  const arrow = current === by ? (desc ? ' ▼' : ' ▲') : '';
+  return `<th class="sortable${current === by ? ' sorted' : ''}" data-sort="${esc(by)}">${esc(label)}${arrow}</th>`;
+}
+
+function matrixRow(s, singers) {
+  return `
+    <tr>
+      <td class="matrix-title clickable-row" onclick="window._openModal('${s.id}')">
+        <div class="cell-title">${esc(s.title)}</div>
+        ${sectionBadges(s)}
+      </td>
+      ${singers.map(name => matrixCell(s, name)).join('')}
+      <td class="matrix-total">${singerCount(s, singers)}</td>
+    </tr>`;
+}
+
+/** Case d'un chanteur : vide sans tonalité, ⚠ si ses sections ne s'accordent pas. */
+function matrixCell(s, name) {
+  const text = s.memberKeys[name];
+  if (!text) return '<td class="matrix-cell empty"></td>';
+
+  const conflict = s.keyConflicts?.[name];
+  const key      = firstKeyName(text);
+  const options  = key ? `, { key: '${key}' }` : '';
+  return `
+    <td class="matrix-cell${conflict ? ' conflict' : ''}" title="${esc(name)} · ${esc(s.title)}"
+        onclick="window._openModal('${s.id}'${options})">${conflict ? '⚠ ' : ''}${esc(displayKey(text))}</td>`;
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DONNÉES
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Chanteurs ayant au moins une tonalité, dans l'ordre des colonnes du classeur. */
+function matrixSingers() {
+  return state.performers.singers.filter(name => state.songs.some(s => s.memberKeys[name]));
+}
+
+function singerCount(s, singers) {
+  return singers.filter(name => s.memberKeys[name]).length;
+}
+
+function getFilteredSongs(singers) {
+  const search  = (document.getElementById('matrix-search')?.value  || '').toLowerCase();
+  const section = document.getElementById('matrix-section')?.value  || '';
+  const langue  = document.getElementById('matrix-langue')?.value   || '';
+  const { by, desc } = state.matrixSort;
+
+  const songs = state.songs.filter(s => {
+    if (search && !s.title.toLowerCase().includes(search)) return false;
+    if (section && !s.sections.includes(section))          return false;
+    if (langue  && s.langue  !== langue)                    return false;
+    return true;
+  });
+
+  // Tri par chanteur : regroupé par tonalité (C → B, illisibles ensuite),
+  // les chansons où il n'a pas de tonalité toujours en dernier
+  const bySinger = by !== 'title' && by !== 'total';
+  const singerKey = s => {
+    const key = parseKeyText(s.memberKeys[by])?.[0];
+    return key ? key.pitch + (key.minor ? 0.5 : 0) : 12;
+  };
+  const compare = by === 'title' ? (a, b) => a.title.localeCompare(b.title)
+    : by === 'total' ? (a, b) => singerCount(a, singers) - singerCount(b, singers)
+    : (a, b) => singerKey(a) - singerKey(b);
+
+  return songs.sort((a, b) => {
+    if (bySinger && !a.memberKeys[by] !== !b.memberKeys[by]) return a.memberKeys[by] ? -1 : 1;
+    const order = compare(a, b);
+    return (desc ? -order : order) || a.title.localeCompare(b.title);
+  });
+}
+
+/** "G > A" → "G" ; null si illisible */
+function firstKeyName(text) {
+  const key = parseKeyText(text)?.[0];
+  return key ? keyName(normalizeKey(key)) : null;
+}
@@ -2,15 +2,18 @@
  * VIEWS/MEMBERS.JS — Vue Membres
  *
  * Affiche les cartes de membres et, au clic, le profil complet avec :
- *  - Tessiture vocale (Vocal Range)
+ *  - Tessiture vocale (Vocal Range) et tonalités notées qui semblent hors tessiture
  *  - Groupes vocaux / rôles d'harmonie
  *  - Tâches assignées
- *  - Liste paginée des chansons avec tonalités
+ *  - Liste paginée des chansons avec tonalités (notée et suggérée)
  */
 
 import { state }                    from '../state.js';
 import { SECTION_CSS, AVATAR_COLORS, PER_PAGE } from '../config.js';
-import { esc, renderPagination, findPersonKeyByName, arePersonNamesEquivalent } from '../utils.js';
+import { esc, renderPagination, findPersonKeyByName, arePersonNamesEquivalent, sectionBadges } from '../utils.js';
+import { musicianInfo }             from '../instruments.js';
+import { displayKey }               from '../prefs.js';
+import { songFit, fitLevel }        from '../range-fit.js';
 
 
 /** Initialise les écouteurs. Appelée une fois depuis main.js. */
@@ -77,13 +80,13 @@ export function renderMemberDetail(name) {
   // Toutes les chansons liées à ce membre
   const allMemberSongs = state.songs.filter(s =>
     !!findPersonKeyByName(s.memberKeys, name)
-    || Object.keys(s.musicians).some(k => arePersonNamesEquivalent(k.split(' ')[0], name))
+    || Object.keys(s.musicians).some(k => arePersonNamesEquivalent(musicianInfo(k).name, name))
   );
 
   // Comptage par section
   const sectionCounts = {};
   ['Entrée','S-E','Louange','Adoration'].forEach(sec => {
-    sectionCounts[sec] = allMemberSongs.filter(s => s.section === sec).length;
+    sectionCounts[sec] = allMemberSongs.filter(s => s.sections.includes(sec)).length;
   });
 
   // Filtres du tableau de chansons
@@ -91,7 +94,7 @@ export function renderMemberDetail(name) {
   const sectionVal = document.getElementById('member-section-filter')?.value || '';
   const filtered   = allMemberSongs.filter(s => {
     if (searchVal && !s.title.toLowerCase().includes(searchVal.toLowerCase())) return false;
-    if (sectionVal && s.section !== sectionVal) return false;
+    if (sectionVal && !s.sections.includes(sectionVal)) return false;
     return true;
   });
 
@@ -103,7 +106,7 @@ export function renderMemberDetail(name) {
     <div style="background:var(--bg2);border:1px solid var(--border);border-radius:var(--radius);padding:1.5rem;margin-top:1.5rem;">
 
       ${buildProfileHeader(member, color, allMemberSongs.length, sectionCounts)}
-      ${buildVocalRange(name)}
+      ${buildVocalRange(name, allMemberSongs)}
       ${buildVocalGroups(name)}
       ${buildTasks(name)}
       ${buildSongsTable(name, searchVal, sectionVal, filtered.length, slice)}
@@ -148,13 +151,17 @@ function buildProfileHeader(member, color, totalSongs, sectionCounts) {
     </div>`;
 }
 
-/** Bloc tessiture vocale */
-function buildVocalRange(name) {
+/** Bloc tessiture vocale, suivi des chansons dont la tonalité notée semble hors tessiture */
+function buildVocalRange(name, songs) {
   const key = findPersonKeyByName(state.vocalRanges, name);
   const vr  = key ? state.vocalRanges[key] : null;
 
   if (!vr || (!vr.voiceType && !vr.primaVoce)) return '';
 
+  const mismatches = songs
+    .map(s => ({ song: s, fit: memberFit(s, name) }))
+    .filter(({ fit }) => fit?.mismatch);
+
   return `
     ${divider('🎙️ Tessiture vocale')}
     <div class="table-wrap">
@@ -178,7 +185,32 @@ function buildVocalRange(name) {
           </tr>
         </tbody>
       </table>
-    </div>`;
+    </div>
+    ${mismatches.length ? `
+      <p style="font-size:0.8rem;color:var(--text2);margin:1rem 0 0.75rem;">
+        Tonalités notées qui semblent hors tessiture (${mismatches.length}) :
+      </p>
+      <div class="keys-grid">
+        ${mismatches.map(({ song, fit }) => `
+          <div class="key-item conflict clickable-row" onclick="window._openModal('${song.id}')"
+               title="Notée : score ${fit.recorded.score} · Suggérée : score ${fit.best.score}">
+            <span class="key-item-name">${esc(song.title)}</span>
+            <span class="key-item-value">⚠ ${esc(displayKey(fit.recorded.key))} → ${esc(displayKey(fit.best.key))}</span>
+          </div>`).join('')}
+      </div>` : ''}`;
+}
+
+/**
+ * Tonalité suggérée pour un membre selon sa tessiture (voir range-fit.js).
+ * @param {Object} song
+ * @param {string} name
+ * @returns {Object|null}
+ */
+function memberFit(song, name) {
+  const rangeKey  = findPersonKeyByName(state.vocalRanges, name);
+  if (!rangeKey) return null;
+  const memberKey = findPersonKeyByName(song.memberKeys, name);
+  return songFit(song, state.vocalRanges[rangeKey], memberKey ? song.memberKeys[memberKey] : '');
 }
 
 /** Bloc groupes vocaux */
@@ -286,23 +318,27 @@ function buildSongsTable(name, searchVal, sectionVal, total, slice) {
             <th>Section</th>
             <th>Langue</th>
             <th>Tonalité de ${esc(name)}</th>
+            <th>Suggérée</th>
             <th>Jours</th>
           </tr>
         </thead>
         <tbody>
           ${slice.length === 0
-            ? `<tr><td colspan="5" style="text-align:center;padding:2rem;color:var(--text3);">Aucun résultat</td></tr>`
+            ? `<tr><td colspan="6" style="text-align:center;padding:2rem;color:var(--text3);">Aucun résultat</td></tr>`
             : slice.map(s => {
                 const memberKey = findPersonKeyByName(s.memberKeys, name);
-                const key = memberKey ? s.memberKeys[memberKey] : '—';
-                const sc  = SECTION_CSS[s.section] || 'entree';
+                const key = memberKey ? displayKey(s.memberKeys[memberKey]) : '—';
                 const lng = s.langue.toLowerCase().replace('/', '') || '—';
+                const fit = memberFit(s, name);
                 return `
                   <tr class="clickable-row" onclick="window._openModal('${s.id}')">
                     <td><div class="cell-title">${esc(s.title)}</div></td>
-                    <td><span class="badge badge-${sc}">${s.section}</span></td>
+                    <td>${sectionBadges(s)}</td>
                     <td><span class="badge badge-${lng}">${s.langue}</span></td>
-                    <td style="font-weight:600;color:${key!=='—'?'var(--accent)':'var(--text3)'};">${esc(key)}</td>
+                    <td style="font-weight:600;color:${fit?.mismatch ? 'var(--danger)' : key!=='—'?'var(--accent)':'var(--text3)'};">${fit?.mismatch ? '⚠ ' : ''}${esc(key)}</td>
+                    <td>${fit
+                      ? `${esc(displayKey(fit.best.key))} <span class="fit-score fit-${fitLevel(fit.best.score)}">${fit.best.score}</span>`
+                      : '<span style="color:var(--text3);">—</span>'}</td>
                     <td style="color:var(--text3);">${s.daysPast != null ? s.daysPast+'j' : '—'}</td>
                   </tr>`;
               }).join('')}
@@ -8,6 +8,7 @@
 import { state }                    from '../state.js';
 import { SECTION_CSS, PER_PAGE }    from '../config.js';
 import { esc, formatDate, renderPagination } from '../utils.js';
+import { displayKey }                 from '../prefs.js';
 
 
 /** Initialise les écouteurs et les onglets. Appelée une fois depuis main.js. */
@@ -93,7 +94,7 @@ function serviceRow(s) {
     <tr class="clickable-row" onclick="window._openModal('${s.id}')">
       <td><div class="cell-title">${esc(s.title)}</div></td>
       <td><span class="badge badge-${lng}">${s.langue}</span></td>
-      <td style="font-weight:600;color:var(--accent);">${esc(s.originalKey) || '—'}</td>
+      <td style="font-weight:600;color:var(--accent);">${esc(displayKey(s.originalKey)) || '—'}</td>
       <td style="color:var(--text2);font-size:0.82rem;">${s.lastSang ? formatDate(s.lastSang) : '—'}</td>
       <td style="color:var(--text3);">${s.daysPast != null ? s.daysPast+'j' : '—'}</td>
       <td>${s.hasProgression ? '<span class="badge badge-yes">✓</span>' : '<span class="badge badge-no">—</span>'}</td>
@@ -108,7 +109,7 @@ function getFilteredServiceSongs() {
   const sort    = document.getElementById('service-sort')?.value     || 'title';
 
   let songs = state.songs.filter(s => {
-    if (s.section !== state.serviceSection)               return false;
+    if (!s.sections.includes(state.serviceSection))       return false;
     if (search && !s.title.toLowerCase().includes(search)) return false;
     if (langue && s.langue !== langue)                     return false;
     if (member && !s.memberKeys[member])                   return false;
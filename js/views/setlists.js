@@ -0,0 +1,678 @@
+/**
+ * VIEWS/SETLISTS.JS — Vue Setlists (préparation d'un culte)
+ *
+ * Choix d'une setlist enregistrée (ou création), puis édition :
+ *  - date et intitulé du culte
+ *  - musiciens du jour, un par instrument : candidats classés par chansons
+ *    connues, indisponibles de la date, conflits signalés (roster.js)
+ *  - chansons par section (Entrée, S-E, Louange, Adoration), ajoutées depuis
+ *    le répertoire, réordonnées par glisser-déposer (ou ▲ ▼ sur mobile)
+ *  - lead de chaque chanson, dont la tonalité est reprise automatiquement
+ *  - voix par chanson : groupe vocal du lead, remplaçants des choristes
+ *    indisponibles (vocal-parts.js)
+ *  - passage d'une tonalité à la suivante : score, accord de pont, passages
+ *    délicats mis en évidence (transitions.js)
+ *  - ✓ Marquer comme chanté : enregistre la setlist dans l'historique
+ *    (history.js), tenu à jour si elle est encore modifiée ensuite
+ *  - ✨ Compléter : propose les chansons manquantes selon les règles
+ *    (⚙ Règles des propositions), chaque choix étant expliqué (suggest.js)
+ *  - 🖨 Impression pour les pupitres : une page par chanson ou vue
+ *    d'ensemble, grilles transposées dans la tonalité jouée (packet.js)
+ *  - 🔗 Partager : lien contenant toute la setlist (share.js)
+ *
+ * Chaque modification est enregistrée aussitôt (setlists.js).
+ */
+
+import { state }                from '../state.js';
+import { SECTION_CSS, INSTRUMENTS, SUGGESTION_RULES, VOCAL_PARTS } from '../config.js';
+import { esc, formatDate, daysSince, arePersonNamesEquivalent, showToast } from '../utils.js';
+import { displayKey }           from '../prefs.js';
+import { keyName, sameKey }     from '../keys.js';
+import { loadSetlists, getSetlist, saveSetlist, deleteSetlist, createSetlist,
+         makeSetlistItem, setItemLead, moveSetlistItem, shiftSetlistItem,
+         SERVICE_SECTIONS }     from '../setlists.js';
+import { suggestSetlist, suggestionRules, saveSuggestionRules } from '../suggest.js';
+import { songTransitions }      from '../transitions.js';
+import { recordSetlist, unrecordSetlist, isRecorded, applyHistory } from '../history.js';
+import { buildSetlistPacket }   from '../packet.js';
+import { printSection }         from '../print.js';
+import { shareUrl }             from '../share.js';
+import { rosterSlots, slotCandidates, fillRoster, rosterWarnings,
+         unavailableOn, setUnavailable } from '../roster.js';
+import { songParts, partsContext } from '../vocal-parts.js';
+
+let dragIndex = null; // élément en cours de glisser-déposer
+let availabilityOpen = false; // panneau des indisponibles déplié (l'éditeur est re-rendu)
+
+
+/** Initialise les écouteurs (délégués : l'éditeur est re-rendu à chaque modification). */
+export function initSetlistsView() {
+  document.getElementById('setlist-select')?.addEventListener('change', e => {
+    state.currentSetlist = e.target.value || null;
+    renderSetlists();
+  });
+  document.getElementById('setlist-new-btn')?.addEventListener('click', () => {
+    const setlist = createSetlist();
+    saveSetlist(setlist);
+    state.currentSetlist = setlist.id;
+    renderSetlists();
+  });
+  document.getElementById('setlist-delete-btn')?.addEventListener('click', removeCurrentSetlist);
+  document.getElementById('setlist-suggest-btn')?.addEventListener('click', completeCurrentSetlist);
+  document.getElementById('setlist-performed-btn')?.addEventListener('click', togglePerformed);
+  ['setlist-print-btn', 'setlist-overview-btn'].forEach(id => {
+    document.getElementById(id)?.addEventListener('click', e => printCurrentSetlist(e.currentTarget.dataset.layout));
+  });
+  document.getElementById('setlist-share-btn')?.addEventListener('click', shareCurrentSetlist);
+
+  const rules = document.getElementById('setlist-rules');
+  rules?.addEventListener('change', onRulesChange);
+  rules?.addEventListener('click', e => {
+    if (!e.target.closest('[data-rules-reset]')) return;
+    saveSuggestionRules(null);
+    renderRules();
+  });
+
+  const editor = document.getElementById('setlist-editor');
+  if (!editor) return;
+  editor.addEventListener('change', onEditorChange);
+  editor.addEventListener('click', onEditorClick);
+  // "toggle" ne remonte pas : écouté en phase de capture
+  editor.addEventListener('toggle', e => {
+    if (e.target.matches('.roster-availability')) availabilityOpen = e.target.open;
+  }, true);
+  editor.addEventListener('dragstart', onDragStart);
+  editor.addEventListener('dragover', onDragOver);
+  editor.addEventListener('dragleave', e => e.target.closest?.('.drop-target')?.classList.remove('drop-target'));
+  editor.addEventListener('drop', onDrop);
+  editor.addEventListener('dragend', () => { dragIndex = null; clearDropTargets(); });
+}
+
+/** Rend le sélecteur de setlists et la setlist courante. */
+export function renderSetlists() {
+  const setlists = loadSetlists();
+  if (!setlists.some(s => s.id === state.currentSetlist)) state.currentSetlist = setlists[0]?.id || null;
+
+  document.getElementById('setlist-select').innerHTML = setlists.length
+    ? setlists.map(s => `<option value="${s.id}" ${s.id === state.currentSetlist ? 'selected' : ''}>${esc(setlistLabel(s))}</option>`).join('')
+    : '<option value="">Aucune setlist</option>';
+  ['setlist-delete-btn', 'setlist-print-btn', 'setlist-overview-btn', 'setlist-share-btn'].forEach(id => {
+    document.getElementById(id).disabled = !state.currentSetlist;
+  });
+
+  const performed = !!state.currentSetlist && isRecorded(state.currentSetlist);
+  const performedBtn = document.getElementById('setlist-performed-btn');
+  performedBtn.disabled    = !state.currentSetlist;
+  performedBtn.textContent = performed ? '✓ Chantée · annuler' : '✓ Marquer comme chantée';
+  performedBtn.classList.toggle('active', performed);
+
+  renderRules();
+
+  const setlist = state.currentSetlist ? getSetlist(state.currentSetlist) : null;
+  document.getElementById('setlist-editor').innerHTML = setlist
+    ? buildEditor(setlist)
+    : `<div class="empty-state"><div class="empty-text">Créez une setlist pour préparer le prochain culte</div></div>`;
+}
+
+/** "25 oct. 2026 — Culte de jeunesse" */
+export function setlistLabel(setlist) {
+  return formatDate(setlist.date) + (setlist.title ? ` — ${setlist.title}` : '');
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// RENDU DE L'ÉDITEUR
+// ─────────────────────────────────────────────────────────────────────────────
+
+function buildEditor(setlist) {
+  const transitions = incomingTransitions(setlist);
+  const rough = [...transitions.values()].filter(t => t?.level === 'rough').length;
+
+  return `
+    <div class="setlist-meta">
+      <label class="setlist-field">
+        <span>Date</span>
+        <input type="date" class="search-input" data-field="date" value="${esc(setlist.date)}">
+      </label>
+      <label class="setlist-field setlist-field-wide">
+        <span>Intitulé</span>
+        <input class="search-input" data-field="title" value="${esc(setlist.title)}" placeholder="Ex : Culte de jeunesse">
+      </label>
+    </div>
+
+    ${buildBand(setlist)}
+
+    ${rough ? `<div class="setlist-warning">⚠ ${rough} passage(s) de tonalité délicat(s), signalé(s) ci-dessous</div>` : ''}
+
+    ${SERVICE_SECTIONS.map(section => buildSection(setlist, section, transitions)).join('')}
+
+    ${buildParts(setlist)}`;
+}
+
+/**
+ * Transition vers chaque élément depuis le précédent dans l'ordre du culte
+ * (d'une section à l'autre comprise).
+ * @returns {Map<number, Object|null>} index de l'élément → transition
+ */
+function incomingTransitions(setlist) {
+  const ordered = SERVICE_SECTIONS
+    .flatMap(section => setlist.items.map((item, index) => ({ item, index })).filter(({ item }) => item.section === section))
+    .map(({ item, index }) => ({ index, song: state.songs.find(s => s.id === item.songId), key: item.key, lead: item.lead }))
+    .filter(entry => entry.song);
+
+  const transitions = songTransitions(ordered);
+  return new Map(ordered.slice(1).map((entry, i) => [entry.index, transitions[i]]));
+}
+
+/**
+ * Musiciens du jour : un sélecteur par instrument présent dans le classeur,
+ * les candidats classés par chansons connues (roster.js), les indisponibles
+ * de la date et les conflits.
+ */
+function buildBand(setlist) {
+  const slots = rosterSlots(state.performers.musicians);
+  if (!slots.length) return '';
+
+  const songs       = setlistSongs(setlist);
+  const unavailable = unavailableOn(setlist.date);
+  const warnings    = rosterWarnings(setlist, songs, state.performers.musicians, unavailable);
+
+  return `
+    <div class="setlist-band">
+      ${slots.map(([instrument, musicians]) => `
+        <label class="setlist-field">
+          <span>${esc(INSTRUMENTS[instrument]?.label || 'Musicien')}</span>
+          <select class="filter-select" data-band="${esc(instrument)}">
+            <option value="">—</option>
+            ${slotCandidates(musicians, songs, { band: setlist.band, instrument, unavailable }).map(c => `
+              <option value="${esc(c.key)}" ${setlist.band[instrument] === c.key ? 'selected' : ''}>${esc(candidateLabel(c))}</option>`).join('')}
+          </select>
+        </label>`).join('')}
+      <button class="key-chip roster-fill" data-fill-band title="Pourvoir les instruments vides : musiciens libres qui connaissent toutes les chansons">🎛 Compléter les musiciens</button>
+      ${buildAvailability(setlist.date, unavailable)}
+      ${warnings.length ? `
+        <ul class="roster-warnings">
+          ${warnings.map(w => `<li class="roster-${w.type}">⚠ ${esc(w.message)}</li>`).join('')}
+        </ul>` : ''}
+    </div>`;
+}
+
+/** "Raphael · 3/4", "Raphael · 3/4 · indisponible", "Raphael · 3/4 · déjà à la Batterie" */
+function candidateLabel({ name, known, total, unavailable, bookedOn }) {
+  return [
+    name,
+    total ? `${known}/${total}` : '',
+    unavailable ? 'indisponible' : '',
+    bookedOn ? `déjà : ${INSTRUMENTS[bookedOn]?.label || 'Musicien'}` : '',
+  ].filter(Boolean).join(' · ');
+}
+
+/** Membres indisponibles à la date du culte (cases à cocher) */
+function buildAvailability(date, unavailable) {
+  const names = [...state.members.map(m => m.name), ...state.performers.musicians.map(m => m.name)]
+    .filter((name, i, all) => all.findIndex(n => arePersonNamesEquivalent(n, name)) === i)
+    .sort((a, b) => a.localeCompare(b));
+  const isOff = name => unavailable.some(n => arePersonNamesEquivalent(n, name));
+
+  return `
+    <details class="roster-availability" ${availabilityOpen ? 'open' : ''}>
+      <summary>Indisponibles le ${esc(formatDate(date))}${unavailable.length ? ` (${unavailable.length})` : ''}</summary>
+      ${names.map(name => `
+        <label class="roster-member">
+          <input type="checkbox" data-unavailable="${esc(name)}" ${isOff(name) ? 'checked' : ''}> ${esc(name)}
+        </label>`).join('')}
+    </details>`;
+}
+
+/**
+ * Pupitres de chaque chanson d'après son lead (vocal-parts.js) : choristes
+ * indisponibles barrés, remplaçants proposés.
+ */
+function buildParts(setlist) {
+  if (!Object.keys(state.vocalGroups).length) return '';
+
+  const context = partsContext(setlist);
+  const rows = SERVICE_SECTIONS
+    .flatMap(section => setlist.items.filter(item => item.section === section))
+    .map(item => ({ item, song: state.songs.find(s => s.id === item.songId) }))
+    .filter(({ song }) => song);
+  if (!rows.length) return '';
+
+  return `
+    <div class="setlist-section setlist-parts">
+      <div class="setlist-section-header">
+        <span class="setlist-rules-title">🎶 Voix par chanson</span>
+        <span class="setlist-count">d'après les groupes vocaux de chaque lead</span>
+      </div>
+      <div class="table-wrap">
+        <table class="parts-table">
+          <thead><tr><th>Chanson</th>${Object.keys(VOCAL_PARTS).map(part => `<th>${esc(part)}</th>`).join('')}</tr></thead>
+          <tbody>
+            ${rows.map(({ item, song }) => buildPartsRow(song, item.lead, item.lead ? songParts(item.lead, context) : null)).join('')}
+          </tbody>
+        </table>
+      </div>
+    </div>`;
+}
+
+function buildPartsRow(song, lead, arrangement) {
+  const title = `<td><strong>${esc(song.title)}</strong><br><span class="parts-lead">${esc(lead || 'Lead à choisir')}</span></td>`;
+  if (!arrangement) {
+    const note = lead ? `Pas de groupe vocal noté pour ${lead}` : '';
+    return `<tr>${title}<td class="parts-none" colspan="${Object.keys(VOCAL_PARTS).length}">${esc(note)}</td></tr>`;
+  }
+
+  return `
+    <tr>
+      ${title}
+      ${arrangement.parts.map(({ singers, uncovered }) => `
+        <td class="${uncovered ? 'parts-uncovered' : ''}">
+          ${singers.map(buildPartSinger).join('<br>') || '—'}
+        </td>`).join('')}
+    </tr>`;
+}
+
+/** "Jemima", "<s>Jemima</s> → Furah", "<s>Jemima</s> ⚠ personne de libre" */
+function buildPartSinger({ name, unavailable, substitute }) {
+  if (!unavailable) return esc(name);
+  return `<s title="Indisponible">${esc(name)}</s> `
+    + (substitute
+      ? `→ <span class="parts-substitute" title="Remplaçant·e proposé·e (type de voix)">${esc(substitute)}</span>`
+      : '<span class="parts-missing">⚠ personne de libre</span>');
+}
+
+/** Chansons de la setlist (une fois chacune) */
+function setlistSongs(setlist) {
+  return [...new Set(setlist.items.map(item => item.songId))]
+    .map(id => state.songs.find(s => s.id === id))
+    .filter(Boolean);
+}
+
+function buildSection(setlist, section, transitions) {
+  const items = setlist.items
+    .map((item, index) => ({ item, index }))
+    .filter(({ item }) => item.section === section);
+  const inSetlist = new Set(setlist.items.map(i => i.songId));
+
+  const sectionSongs = state.songs.filter(s => s.sections.includes(section) && !inSetlist.has(s.id));
+  const otherSongs   = state.songs.filter(s => !s.sections.includes(section) && !inSetlist.has(s.id));
+  const options = songs => [...songs]
+    .sort((a, b) => a.title.localeCompare(b.title))
+    .map(s => `<option value="${s.id}">${esc(s.title)}</option>`).join('');
+
+  return `
+    <div class="setlist-section">
+      <div class="setlist-section-header">
+        <span class="badge badge-${SECTION_CSS[section]}">${esc(section)}</span>
+        <span class="setlist-count">${items.length} chanson(s)</span>
+      </div>
+      <ol class="setlist-items" data-section="${esc(section)}">
+        ${items.length
+          ? items.map(({ item, index }) => buildItem(item, index, transitions.get(index))).join('')
+          : '<li class="setlist-empty">Glissez une chanson ici ou ajoutez-en une ci-dessous</li>'}
+      </ol>
+      <select class="filter-select setlist-add" data-add="${esc(section)}" aria-label="Ajouter une chanson en ${esc(section)}">
+        <option value="">＋ Ajouter une chanson…</option>
+        <optgroup label="${esc(section)}">${options(sectionSongs)}</optgroup>
+        <optgroup label="Autres sections">${options(otherSongs)}</optgroup>
+      </select>
+    </div>`;
+}
+
+function buildItem(item, index, transition) {
+  const song = state.songs.find(s => s.id === item.songId);
+  if (!song) {
+    return `
+      <li class="setlist-item missing" draggable="true" data-index="${index}">
+        <span class="drag-handle" aria-hidden="true">⋮⋮</span>
+        <span class="setlist-song">Chanson introuvable (${esc(item.songId)})</span>
+        <button class="page-btn" data-remove title="Retirer">✕</button>
+      </li>`;
+  }
+
+  // Chanteurs ayant une tonalité pour cette chanson d'abord
+  const withKey = Object.keys(song.memberKeys);
+  const others  = state.performers.singers.filter(n => !withKey.includes(n));
+
+  return `
+    <li class="setlist-item" draggable="true" data-index="${index}">
+      ${buildTransition(transition)}
+      <span class="drag-handle" aria-hidden="true">⋮⋮</span>
+      <span class="setlist-song" data-open title="Ouvrir la chanson">${esc(song.title)}</span>
+      <select class="filter-select" data-field="lead" aria-label="Lead">
+        <option value="">Lead…</option>
+        ${withKey.map(n => `<option value="${esc(n)}" ${item.lead === n ? 'selected' : ''}>${esc(n)} · ${esc(displayKey(song.memberKeys[n]))}</option>`).join('')}
+        ${others.length ? `<optgroup label="Sans tonalité notée">
+          ${others.map(n => `<option value="${esc(n)}" ${item.lead === n ? 'selected' : ''}>${esc(n)}</option>`).join('')}
+        </optgroup>` : ''}
+      </select>
+      <input class="search-input setlist-key" data-field="key" value="${esc(item.key)}" placeholder="Tonalité" aria-label="Tonalité">
+      <span class="setlist-actions">
+        <button class="page-btn" data-move="-1" title="Monter">▲</button>
+        <button class="page-btn" data-move="1" title="Descendre">▼</button>
+        <button class="page-btn" data-remove title="Retirer">✕</button>
+      </span>
+      ${buildReasons(item)}
+    </li>`;
+}
+
+/** Passage depuis la chanson précédente : "↳ D → Eb · un demi-ton plus haut · pont Fm7 – Bb7" */
+function buildTransition(transition) {
+  if (!transition) return '';
+  const { from, to, level, label, bridge, advice } = transition;
+  const keys = sameKey(from, to)
+    ? displayKey(keyName(to))
+    : `${displayKey(keyName(from))} → ${displayKey(keyName(to))}`;
+
+  return `
+    <span class="setlist-transition transition-${level}" title="${esc(advice)}">
+      ↳ ${esc(keys)} · ${esc(label)}${bridge.length ? ` · pont ${esc(bridge.join(' – '))}` : ''}
+    </span>`;
+}
+
+/** Pourquoi la chanson (et son lead) a été proposée */
+function buildReasons(item) {
+  const reasons = [...(item.reasons || []), item.leadReason].filter(Boolean);
+  return reasons.length
+    ? `<span class="setlist-reasons">💡 ${reasons.map(esc).join(' · ')}</span>`
+    : '';
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PROPOSITIONS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Panneau des règles (le <details> garde son état ouvert/fermé entre deux rendus) */
+function renderRules() {
+  const rules = suggestionRules();
+  const field = (rule, label, value, max) => `
+    <label class="setlist-field">
+      <span>${esc(label)}</span>
+      <input type="number" class="search-input" data-rule="${rule}" value="${value}" min="0" max="${max}">
+    </label>`;
+
+  document.getElementById('setlist-rules').innerHTML = `
+    <summary>⚙ Règles des propositions</summary>
+    <div class="setlist-rules-group">
+      <div class="setlist-rules-title">Chansons par section</div>
+      ${SERVICE_SECTIONS.map(section => field(`perSection.${section}`, section, rules.perSection[section] || 0, 10)).join('')}
+    </div>
+    <div class="setlist-rules-group">
+      <div class="setlist-rules-title">Rotation</div>
+      ${field('recentServices', 'Cultes récents exclus', rules.recentServices, 20)}
+      ${field('restCapDays', 'Repos maximal (jours)', rules.restCapDays, 3650)}
+    </div>
+    <div class="setlist-rules-group">
+      <div class="setlist-rules-title">Points</div>
+      ${field('weights.rest', 'Repos', rules.weights.rest, 1000)}
+      ${field('weights.progression', 'Progression', rules.weights.progression, 1000)}
+      ${field('weights.language', 'Langues', rules.weights.language, 1000)}
+      ${field('weights.variety', 'Hasard', rules.weights.variety, 1000)}
+    </div>
+    <button class="key-chip" data-rules-reset>Valeurs par défaut</button>`;
+}
+
+function onRulesChange(e) {
+  const path = e.target.dataset.rule;
+  if (!path) return;
+
+  const value = Math.max(0, Math.round(Number(e.target.value)));
+  if (!Number.isFinite(value)) { renderRules(); return; }
+
+  const rules = suggestionRules();
+  const [group, name] = path.split('.');
+  if (name) rules[group] = { ...rules[group], [name]: value };
+  else      rules[group] = value;
+  // restCapDays divise le score de repos
+  if (!rules.restCapDays) rules.restCapDays = SUGGESTION_RULES.restCapDays;
+
+  saveSuggestionRules(rules);
+  renderRules();
+}
+
+/** ✨ Compléter : ajoute les chansons manquantes à la setlist courante (créée au besoin) */
+function completeCurrentSetlist() {
+  if (!state.songs.length) {
+    showToast('Aucune chanson chargée', 'error');
+    return;
+  }
+  if (!state.currentSetlist) {
+    const setlist = createSetlist();
+    saveSetlist(setlist);
+    state.currentSetlist = setlist.id;
+  }
+
+  let result;
+  update(s => {
+    result = suggestSetlist(s, state.songs, loadSetlists());
+    s.items = result.items;
+  });
+
+  const missing = result.shortfalls.map(({ section, missing }) => `${section} : ${missing} manquante(s)`);
+  if (!result.added && !missing.length) {
+    showToast('La setlist est déjà complète');
+  } else {
+    showToast(`${result.added} chanson(s) proposée(s)` + (missing.length ? ` — ${missing.join(', ')}` : ''),
+      missing.length ? '' : 'success');
+  }
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MODIFICATIONS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Applique une modification à la setlist courante, l'enregistre et re-rend. */
+function update(change) {
+  const setlist = getSetlist(state.currentSetlist);
+  if (!setlist) return;
+  change(setlist);
+  if (!saveSetlist(setlist)) showToast('Impossible d\'enregistrer la setlist', 'error');
+  // Setlist déjà chantée : l'historique suit ses corrections
+  if (isRecorded(setlist.id)) {
+    recordSetlist(setlist);
+    applyHistory(state.songs);
+  }
+  renderSetlists();
+}
+
+function onEditorChange(e) {
+  const el = e.target;
+
+  if (el.dataset.add) {
+    const song = state.songs.find(s => s.id === el.value);
+    if (song) update(s => { s.items = moveSetlistItem([...s.items, makeSetlistItem(song, el.dataset.add)], s.items.length, el.dataset.add, null); });
+    return;
+  }
+  if (el.dataset.band != null) {
+    update(s => { s.band[el.dataset.band] = el.value; });
+    return;
+  }
+  if (el.dataset.unavailable) {
+    const setlist = getSetlist(state.currentSetlist);
+    if (!setUnavailable(setlist.date, el.dataset.unavailable, el.checked)) showToast('Impossible d\'enregistrer les indisponibilités', 'error');
+    renderSetlists();
+    return;
+  }
+
+  const field = el.dataset.field;
+  const index = itemIndex(el);
+  if (field === 'date' && !el.value.trim()) {
+    renderSetlists(); // date effacée : on garde la précédente
+  } else if (field === 'date' || field === 'title') {
+    update(s => { s[field] = el.value.trim(); });
+  } else if (field === 'lead') {
+    update(s => setItemLead(s.items[index], state.songs.find(x => x.id === s.items[index].songId), el.value));
+  } else if (field === 'key') {
+    update(s => { s.items[index].key = el.value.trim(); });
+  }
+}
+
+function onEditorClick(e) {
+  if (e.target.closest('[data-fill-band]')) {
+    fillBand();
+    return;
+  }
+
+  const index = itemIndex(e.target);
+  if (index == null) return;
+
+  if (e.target.closest('[data-remove]')) {
+    update(s => { s.items.splice(index, 1); });
+  } else if (e.target.closest('[data-move]')) {
+    const direction = Number(e.target.closest('[data-move]').dataset.move);
+    update(s => { s.items = shiftSetlistItem(s.items, index, direction); });
+  } else if (e.target.closest('[data-open]')) {
+    const item = getSetlist(state.currentSetlist)?.items[index];
+    if (item) window._openModal(item.songId, { key: item.key || undefined });
+  }
+}
+
+/** Pourvoit les instruments vides de la setlist courante (roster.js) */
+function fillBand() {
+  const setlist = getSetlist(state.currentSetlist);
+  if (!setlist) return;
+
+  if (rosterSlots(state.performers.musicians).every(([instrument]) => !instrument || setlist.band[instrument])) {
+    showToast('Tous les instruments sont déjà pourvus', 'success');
+    return;
+  }
+  const songs = setlistSongs(setlist);
+  if (!songs.length) {
+    showToast('Ajoutez des chansons avant de compléter les musiciens', 'error');
+    return;
+  }
+  const { band, filled, proposals } = fillRoster(setlist.band, state.performers.musicians, songs, unavailableOn(setlist.date));
+  // Postes restés vides : le plus proche est proposé, pas choisi
+  const partial = proposals
+    .map(({ instrument, candidate }) => `${INSTRUMENTS[instrument]?.label || instrument} : ${candidate.name} (${candidate.known}/${candidate.total})`)
+    .join(', ');
+
+  if (!filled.length) {
+    showToast(partial
+      ? `Aucun musicien libre ne connaît toutes les chansons. Le plus proche — ${partial}`
+      : 'Aucun musicien libre pour les instruments restants', 'error');
+    return;
+  }
+  update(s => { s.band = band; });
+  showToast(`${filled.length} instrument(s) pourvu(s) : ${filled.map(i => INSTRUMENTS[i]?.label || i).join(', ')}`
+    + (partial ? `. À choisir : ${partial}` : ''), 'success');
+}
+
+/** Marque la setlist courante comme chantée, ou la retire de l'historique */
+function togglePerformed() {
+  const setlist = getSetlist(state.currentSetlist);
+  if (!setlist) return;
+
+  if (isRecorded(setlist.id)) {
+    if (!confirm(`Retirer le culte du ${setlistLabel(setlist)} de l'historique ?`)) return;
+    unrecordSetlist(setlist.id);
+    showToast('Culte retiré de l\'historique', 'success');
+  } else {
+    if (!setlist.items.length) {
+      showToast('La setlist ne contient aucune chanson', 'error');
+      return;
+    }
+    if (daysSince(setlist.date) < 0 && !confirm(`Le culte du ${setlistLabel(setlist)} est à venir. Le marquer quand même comme chanté ?`)) return;
+    if (!recordSetlist(setlist)) {
+      showToast('Impossible d\'enregistrer l\'historique', 'error');
+      return;
+    }
+    showToast(`${setlist.items.length} chanson(s) ajoutée(s) à l'historique`, 'success');
+  }
+
+  applyHistory(state.songs);
+  renderSetlists();
+}
+
+/** Imprime la setlist courante : 'pages' (une page par chanson) ou 'overview' */
+function printCurrentSetlist(layout) {
+  const setlist = getSetlist(state.currentSetlist);
+  if (!setlist) return;
+  if (!setlist.items.length) {
+    showToast('La setlist ne contient aucune chanson', 'error');
+    return;
+  }
+  printSection(buildSetlistPacket(setlist, layout));
+}
+
+/**
+ * Partage la setlist courante : feuille de partage du téléphone (WhatsApp…)
+ * si disponible, sinon lien copié dans le presse-papiers.
+ */
+async function shareCurrentSetlist() {
+  const setlist = getSetlist(state.currentSetlist);
+  if (!setlist) return;
+  if (!setlist.items.length) {
+    showToast('La setlist ne contient aucune chanson', 'error');
+    return;
+  }
+
+  const url   = shareUrl(setlist, state.songs);
+  const title = `Setlist du ${setlistLabel(setlist)}`;
+  try {
+    if (navigator.share) {
+      await navigator.share({ title, text: title, url });
+    } else {
+      await navigator.clipboard.writeText(url);
+      showToast('Lien de la setlist copié ✓', 'success');
+    }
+  } catch (error) {
+    // Partage annulé par l'utilisateur : rien à signaler
+    if (error.name === 'AbortError') return;
+    prompt('Copiez le lien de la setlist :', url);
+  }
+}
+
+function removeCurrentSetlist() {
+  const setlist = getSetlist(state.currentSetlist);
+  if (!setlist || !confirm(`Supprimer la setlist du ${setlistLabel(setlist)} ?`)) return;
+  deleteSetlist(setlist.id);
+  state.currentSetlist = null;
+  renderSetlists();
+  showToast('Setlist supprimée', 'success');
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GLISSER-DÉPOSER
+// ─────────────────────────────────────────────────────────────────────────────
+
+function onDragStart(e) {
+  dragIndex = itemIndex(e.target);
+  if (dragIndex == null) return;
+  e.dataTransfer.effectAllowed = 'move';
+  e.dataTransfer.setData('text/plain', String(dragIndex)); // requis par Firefox
+}
+
+function onDragOver(e) {
+  if (dragIndex == null) return;
+  const target = e.target.closest('.setlist-item, .setlist-items');
+  if (!target) return;
+  e.preventDefault();
+  clearDropTargets();
+  target.classList.add('drop-target');
+}
+
+function onDrop(e) {
+  const list = e.target.closest('.setlist-items');
+  if (dragIndex == null || !list) return;
+  e.preventDefault();
+
+  const before = itemIndex(e.target); // null : déposé hors d'un élément → fin de section
+  const from   = dragIndex;
+  dragIndex = null;
+  if (before === from) { clearDropTargets(); return; }
+  update(s => { s.items = moveSetlistItem(s.items, from, list.dataset.section, before); });
+}
+
+function clearDropTargets() {
+  document.querySelectorAll('#setlist-editor .drop-target').forEach(el => el.classList.remove('drop-target'));
+}
+
+/** Index (dans setlist.items) de l'élément contenant `el`, ou null */
+function itemIndex(el) {
+  const li = el.closest?.('.setlist-item');
+  return li ? Number(li.dataset.index) : null;
+}
@@ -0,0 +1,87 @@
+/**
+ * VIEWS/SHARED.JS — Setlist reçue par lien (lecture seule)
+ *
+ * Ouverte par un lien "#s=…" (share.js) : chansons par section avec lead et
+ * tonalité, musiciens du jour. Les chansons sont retrouvées dans le
+ * répertoire local ; celles qui n'y sont pas sont signalées, avec leur titre.
+ */
+
+import { state }            from '../state.js';
+import { SECTION_CSS }      from '../config.js';
+import { esc, formatDate }  from '../utils.js';
+import { displayKey }       from '../prefs.js';
+import { musicianLabel }    from '../instruments.js';
+import { SERVICE_SECTIONS } from '../setlists.js';
+import { playedKey }        from '../transitions.js';
+import { resolveSharedItems } from '../share.js';
+
+
+/** Initialise les écouteurs (délégués : la page est re-rendue à chaque lien ouvert). */
+export function initSharedView() {
+  document.getElementById('shared-body')?.addEventListener('click', e => {
+    const song = e.target.closest('[data-open]');
+    if (song) window._openModal(song.dataset.open, { key: song.dataset.key });
+  });
+}
+
+/** Rend la setlist partagée (state.sharedSetlist). */
+export function renderSharedSetlist() {
+  const body   = document.getElementById('shared-body');
+  const shared = state.sharedSetlist;
+  if (!body) return;
+  if (!shared) {
+    body.innerHTML = `<div class="empty-state"><div class="empty-text">Aucune setlist partagée ouverte</div></div>`;
+    return;
+  }
+
+  const items   = resolveSharedItems(shared, state.songs);
+  const missing = items.filter(item => !item.song);
+  const band    = Object.values(shared.band).filter(Boolean).map(musicianLabel);
+
+  document.getElementById('shared-label').textContent =
+    formatDate(shared.date) + (shared.title ? ` — ${shared.title}` : '');
+
+  body.innerHTML = `
+    ${missing.length ? `
+      <div class="setlist-warning">
+        ⚠ ${missing.length} chanson(s) absente(s) de votre répertoire :
+        ${missing.map(item => `« ${esc(item.title || item.songId)} »`).join(', ')}.
+        Rechargez un classeur à jour (⇄ Changer de source) pour les afficher.
+      </div>` : ''}
+
+    ${band.length ? `<div class="setlist-band shared-band"><span>Musiciens</span> ${esc(band.join(', '))}</div>` : ''}
+
+    ${SERVICE_SECTIONS.map(section => buildSection(section, items.filter(item => item.section === section))).join('')}`;
+}
+
+function buildSection(section, items) {
+  if (!items.length) return '';
+  return `
+    <div class="setlist-section">
+      <div class="setlist-section-header">
+        <span class="badge badge-${SECTION_CSS[section]}">${esc(section)}</span>
+        <span class="setlist-count">${items.length} chanson(s)</span>
+      </div>
+      <ol class="setlist-items">${items.map(buildItem).join('')}</ol>
+    </div>`;
+}
+
+function buildItem(item) {
+  const key = item.song ? playedKey(item.song, item.key, item.lead) : item.key;
+  const details = `
+    <span class="shared-lead">${esc(item.lead || '—')}</span>
+    <span class="shared-key">${esc(displayKey(key) || '—')}</span>`;
+
+  if (!item.song) {
+    return `
+      <li class="setlist-item missing" title="Absente de votre répertoire">
+        <span class="setlist-song">⚠ ${esc(item.title || item.songId)}</span>
+        ${details}
+      </li>`;
+  }
+  return `
+    <li class="setlist-item">
+      <span class="setlist-song" data-open="${esc(item.song.id)}" data-key="${esc(key)}" title="Ouvrir la chanson">${esc(item.song.title)}</span>
+      ${details}
+    </li>`;
+}
@@ -4,8 +4,9 @@
  */
 
 import { state }                from '../state.js';
-import { SECTION_CSS, PER_PAGE } from '../config.js';
-import { esc, formatDate, renderPagination } from '../utils.js';
+import { PER_PAGE }             from '../config.js';
+import { esc, formatDate, renderPagination, sectionBadges } from '../utils.js';
+import { displayKey }             from '../prefs.js';
 
 
 /** Initialise les écouteurs de filtres. Appelée une fois depuis main.js. */
@@ -49,14 +50,13 @@ export function renderSongsTable() {
 }
 
 function songRow(s) {
-  const sc  = SECTION_CSS[s.section] || 'entree';
   const lng = s.langue.toLowerCase().replace('/', '') || '—';
   return `
     <tr class="clickable-row" onclick="window._openModal('${s.id}')">
       <td><div class="cell-title">${esc(s.title)}</div></td>
-      <td><span class="badge badge-${sc}">${s.section}</span></td>
+      <td>${sectionBadges(s)}</td>
       <td><span class="badge badge-${lng}">${s.langue}</span></td>
-      <td style="font-weight:600;color:var(--accent);">${esc(s.originalKey) || '—'}</td>
+      <td style="font-weight:600;color:var(--accent);">${esc(displayKey(s.originalKey)) || '—'}</td>
       <td style="color:var(--text2);font-size:0.82rem;">${s.lastSang ? formatDate(s.lastSang) : '—'}</td>
       <td style="color:var(--text3);">${s.daysPast != null ? s.daysPast+'j' : '—'}</td>
       <td>${s.hasLyrics     ? '<span class="badge badge-yes">✓</span>' : '<span class="badge badge-no">—</span>'}</td>
@@ -74,7 +74,7 @@ function getFilteredSongs() {
 
   let songs = state.songs.filter(s => {
     if (search && !s.title.toLowerCase().includes(search)) return false;
-    if (section && s.section !== section)                   return false;
+    if (section && !s.sections.includes(section))          return false;
     if (langue  && s.langue  !== langue)                    return false;
     if (prog === 'yes' && !s.hasProgression)                return false;
     if (prog === 'no'  &&  s.hasProgression)                return false;
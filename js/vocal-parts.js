@@ -0,0 +1,133 @@
+/**
+ * VOCAL-PARTS.JS — Pupitres d'une chanson selon son lead
+ *
+ * La feuille "Groupes vocal" donne, pour chaque lead, qui chante Soprano,
+ * Alto 1, Alto 2/Tenor et Bass. Pour une chanson d'un culte :
+ *  - l'arrangement du lead est repris tel quel
+ *  - un choriste indisponible ce jour-là (roster.js) est remplacé par un
+ *    membre libre dont le type de voix (feuille Vocal Range) convient au
+ *    pupitre : voir VOCAL_PARTS (config.js)
+ *  - un pupitre sans personne de disponible est signalé
+ */
+
+import { state }         from './state.js';
+import { VOCAL_PARTS }   from './config.js';
+import { unavailableOn } from './roster.js';
+import { musicianInfo }  from './instruments.js';
+import { arePersonNamesEquivalent, findPersonKeyByName } from './utils.js';
+
+// Types de voix reconnus dans la colonne "Voice Type" ("Alto 2 + Mezzo", "Bariton (Bass)"…)
+const VOICE_PATTERNS = [
+  ['soprano',  /soprano/],
+  ['mezzo',    /mezzo/],
+  ['alto 1',   /alto\s*1/],
+  ['alto 2',   /alto\s*2/],
+  ['alto',     /alto(?!\s*[12])/],
+  ['tenor',    /t[eé]no/],
+  ['baritone', /bar[iy]ton/],
+  ['bass',     /\bbass/],
+];
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// TYPES DE VOIX
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Types de voix d'un chanteur. Ex: "Alto 2\n+\nMezzo" → ['mezzo', 'alto 2']
+ * @param {string} text - vocalRange.voiceType
+ * @returns {string[]}
+ */
+export function voiceTypes(text) {
+  const normalized = String(text || '').toLowerCase();
+  return VOICE_PATTERNS.filter(([, re]) => re.test(normalized)).map(([type]) => type);
+}
+
+/**
+ * Convenance d'une voix pour un pupitre : 0 = la plus indiquée, Infinity
+ * si aucun de ses types de voix ne convient.
+ * @param {string} part       - Clé de VOCAL_PARTS
+ * @param {Object} vocalRange - Ligne de state.vocalRanges
+ * @returns {number}
+ */
+export function partRank(part, vocalRange) {
+  const accepted = VOCAL_PARTS[part] || [];
+  const ranks = voiceTypes(vocalRange?.voiceType)
+    .map(type => accepted.indexOf(type))
+    .filter(rank => rank >= 0);
+  return ranks.length ? Math.min(...ranks) : Infinity;
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PUPITRES D'UNE CHANSON
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Pupitres d'une chanson menée par un lead, choristes indisponibles remplacés.
+ *
+ * @param {string} lead
+ * @param {Object} context
+ * @param {Object}   context.vocalGroups - state.vocalGroups
+ * @param {Object}   context.vocalRanges - state.vocalRanges
+ * @param {string[]} context.unavailable - Voir unavailableOn() (roster.js)
+ * @param {string[]} [context.busy]      - Déjà pris ce jour-là (musiciens du jour) :
+ *                                         jamais proposés comme remplaçants
+ * @returns {{ lead: string, parts: Array<{ part: string, singers: Object[], uncovered: boolean }> }|null}
+ *          null si le lead n'a pas d'arrangement noté. singers :
+ *          { name, unavailable, substitute } (substitute : nom ou null)
+ */
+export function songParts(lead, { vocalGroups, vocalRanges, unavailable, busy: taken = [] }) {
+  const leadKey = lead && findPersonKeyByName(vocalGroups, lead);
+  if (!leadKey) return null;
+
+  const arrangement = vocalGroups[leadKey];
+  const isOff  = name => unavailable.some(n => arePersonNamesEquivalent(n, name));
+  // Déjà occupés : le lead, les choristes présents, les remplaçants choisis, les musiciens
+  const busy   = [lead, ...taken, ...Object.values(arrangement).flat().filter(name => !isOff(name))];
+
+  const parts = Object.keys(VOCAL_PARTS).map(part => {
+    const singers = (arrangement[part] || []).map(name => {
+      if (!isOff(name)) return { name, unavailable: false, substitute: null };
+      const substitute = findSubstitute(part, vocalRanges, busy, isOff);
+      if (substitute) busy.push(substitute);
+      return { name, unavailable: true, substitute };
+    });
+    return { part, singers, uncovered: !!singers.length && !partSingers({ singers }).length };
+  });
+
+  return { lead: leadKey, parts };
+}
+
+/**
+ * Contexte de songParts() pour une setlist : indisponibles de sa date ; les
+ * musiciens du jour ne sont pas proposés comme remplaçants.
+ * @param {Object} setlist
+ * @returns {Object}
+ */
+export function partsContext(setlist) {
+  return {
+    vocalGroups: state.vocalGroups,
+    vocalRanges: state.vocalRanges,
+    unavailable: unavailableOn(setlist.date),
+    busy:        Object.values(setlist.band).filter(Boolean).map(key => musicianInfo(key).name),
+  };
+}
+
+/**
+ * Noms qui chantent finalement un pupitre (présents et remplaçants).
+ * @param {{ singers: Object[] }} part - Élément de songParts().parts
+ * @returns {string[]}
+ */
+export function partSingers({ singers }) {
+  return singers.map(s => (s.unavailable ? s.substitute : s.name)).filter(Boolean);
+}
+
+/** Membre libre à la voix la plus indiquée pour le pupitre, ou null */
+function findSubstitute(part, vocalRanges, busy, isOff) {
+  return Object.entries(vocalRanges)
+    .filter(([name]) => !isOff(name) && !busy.some(b => arePersonNamesEquivalent(b, name)))
+    .map(([name, vocalRange]) => ({ name, rank: partRank(part, vocalRange) }))
+    .filter(c => c.rank < Infinity)
+    .sort((a, b) => a.rank - b.rank || a.name.localeCompare(b.name))[0]?.name || null;
+}
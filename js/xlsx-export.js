@@ -0,0 +1,225 @@
+/**
+ * XLSX-EXPORT.JS — Régénération d'un classeur Excel à partir des données
+ *
+ * Produit un .xlsx avec les noms de feuilles et la disposition d'en-têtes
+ * reconnus par parser.js, de sorte que le fichier fasse l'aller-retour :
+ * exporter puis ré-importer redonne les mêmes chansons, membres,
+ * progressions, tessitures, groupes vocaux et tâches.
+ *
+ * Feuilles générées :
+ *  - Entrée, S-E, Louange, Adoration  (une ligne par chanson)
+ *  - Progression Blank, Report sheet, Vocal Range, Groupes vocal, Taches
+ *
+ * Utilise SheetJS (window.XLSX), déjà chargé pour l'import.
+ */
+
+import { loadFromCache }    from './state.js';
+import { VOCAL_PARTS }      from './config.js';
+import { derivePerformers } from './instruments.js';
+import { showToast }        from './utils.js';
+
+const SONG_SECTIONS = ['Entrée', 'S-E', 'Louange', 'Adoration'];
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POINT D'ENTRÉE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Télécharge le classeur correspondant aux dernières données importées.
+ */
+export function downloadWorkbook() {
+  const data = loadFromCache();
+  if (!data?.songs?.length) {
+    showToast('Aucune donnée à exporter', 'error');
+    return;
+  }
+
+  try {
+    const date = new Date().toISOString().slice(0, 10);
+    window.XLSX.writeFile(buildWorkbook(data), `LWC - Repertoire (export ${date}).xlsx`);
+    showToast(`Classeur exporté (${data.songs.length} chansons) ✓`, 'success');
+  } catch (err) {
+    console.error('[Export] Erreur export XLSX :', err);
+    showToast('Erreur : ' + err.message, 'error');
+  }
+}
+
+/**
+ * Construit le workbook SheetJS.
+ * @param {Object} data - Données au format de parser.js
+ * @returns {Object} - Workbook SheetJS
+ */
+export function buildWorkbook(data) {
+  const XLSX = window.XLSX;
+  const wb   = XLSX.utils.book_new();
+  const add  = (name, rows, widths = []) => {
+    const ws = XLSX.utils.aoa_to_sheet(rows);
+    ws['!cols'] = widths.map(wch => ({ wch }));
+    XLSX.utils.book_append_sheet(wb, ws, name);
+  };
+
+  const performers = songPerformers(data);
+
+  // Sections principales dans l'ordre d'apparition (l'ordre des chansons, donc
+  // leurs identifiants, est conservé au ré-import), puis les sections standard.
+  // Une chanson fusionnée est écrite dans chacune de ses sections.
+  const sections = [...new Set([...data.songs.map(s => s.section), ...data.songs.flatMap(songSections)])];
+  SONG_SECTIONS.forEach(s => { if (!sections.includes(s)) sections.push(s); });
+
+  sections.forEach(section => {
+    const songs = data.songs.filter(s => songSections(s).includes(section));
+    add(section, songSheetRows(songs, section, performers), [40]);
+  });
+
+  add('Progression Blank', progressionRows(data.progressions || {}, data.songs), [40, 60]);
+  add('Report sheet',      memberRows(data.members || []),                       [24, 20]);
+  add('Vocal Range',       vocalRangeRows(data.vocalRanges || {}),               [14]);
+  add('Groupes vocal',     vocalGroupRows(data.vocalGroups || {}),               [14]);
+  add('Taches',            taskRows(data.tasks || {}),                           [4, 40]);
+
+  return wb;
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FEUILLES DE CHANSONS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Chanteurs et musiciens à mettre en colonnes : ceux découverts à l'import
+ * (y compris sans chanson) complétés par ceux présents dans les chansons.
+ */
+function songPerformers(data) {
+  const fromSongs = derivePerformers(data.songs);
+  const singers   = [...(data.performers?.singers || [])];
+  const musicians = (data.performers?.musicians || []).map(m => m.key);
+
+  fromSongs.singers.forEach(name => { if (!singers.includes(name)) singers.push(name); });
+  fromSongs.musicians.forEach(m => { if (!musicians.includes(m.key)) musicians.push(m.key); });
+
+  return { singers, musicians };
+}
+
+/**
+ * Ligne 0 : en-têtes de groupe — Ligne 1 : en-têtes de colonnes — Lignes 2+ : chansons.
+ * Les en-têtes sont ceux que detectColumns() reconnaît ("<Nom> Key", "<Nom> <Instrument>").
+ */
+function songSheetRows(songs, section, { singers, musicians }) {
+  const fixed = ['Songs: Original Key', 'Last sang', 'Days past', 'Creu & Sommet', 'Langue', 'Lyrics', 'Progression'];
+
+  const groupRow = [section, ...fixed.slice(1).map(() => ''),
+    ...singers.map((_, i)   => (i === 0 ? 'VOCALS' : '')),
+    ...musicians.map((_, i) => (i === 0 ? 'MUSICIANS' : ''))];
+
+  const headerRow = [...fixed, ...singers.map(name => `${name} Key`), ...musicians];
+
+  const songRows = songs.map(song => [
+    song.originalKey ? `${song.title}: ${song.originalKey}` : song.title,
+    song.lastSang || '',
+    song.daysPast ?? '',
+    song.creuSommet || '',
+    song.langue && song.langue !== '—' ? song.langue : '',
+    song.hasLyrics ? 'Yes' : '',
+    song.hasProgression ? 'Yes' : '',
+    ...singers.map(name => sectionKey(song, name, section)),
+    ...musicians.map(key => (song.musicians?.[key] ? 'x' : '')),
+  ]);
+
+  return [groupRow, headerRow, ...songRows];
+}
+
+function songSections(song) {
+  return song.sections || [song.section];
+}
+
+/** Tonalité d'un chanteur dans une section (valeur d'origine en cas de conflit). */
+function sectionKey(song, name, section) {
+  const conflict = song.keyConflicts?.[name]?.find(c => c.section === section);
+  return conflict ? conflict.key : (song.memberKeys?.[name] || '');
+}
+
+
+// ─────────────────────────────────────────────────────────────────────────────
+// AUTRES FEUILLES
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Col A = titre, col B = lignes de progression (une ligne par cellule).
+ * Les clés de data.progressions étant en minuscules, le titre est repris
+ * d'une chanson correspondante quand il y en a une.
+ *
+ * Le parser joint les cellules par "\n" : un "\r\n" vient donc de l'intérieur
+ * d'une cellule du classeur d'origine et y reste.
+ */
+function progressionRows(progressions, songs) {
+  const titles = new Map(songs.map(s => [s.title.toLowerCase(), s.title]));
+  const rows   = [['Titles', 'Progression']];
+
+  Object.entries(progressions).forEach(([key, text]) => {
+    const lines = String(text).split(/(?<!\r)\n/).map(l => l.trim()).filter(Boolean);
+    if (!lines.length) return;
+    rows.push([titles.get(key) || key, lines[0]]);
+    lines.slice(1).forEach(line => rows.push(['', line]));
+  });
+
+  return rows;
+}
+
+function memberRows(members) {
+  return [['Member', 'Role'], ...members.map(m => [m.name, m.role || ''])];
+}
+
+/** Ligne des noms, puis une ligne par mesure ("Voice Type", "Low Chest"…). */
+function vocalRangeRows(vocalRanges) {
+  const names   = Object.keys(vocalRanges);
+  const metrics = [
+    ['Voice Type', 'voiceType'],
+    ['Low Chest',  'lowChest'],
+    ['High Chest', 'highChest'],
+    ['Head Voice', 'headVoice'],
+    ['Prima Voce', 'primaVoce'],
+  ];
+
+  return [
+    ['', ...names],
+    ...metrics.map(([label, field]) => [label, ...names.map(n => vocalRanges[n][field] || '')]),
+  ];
+}
+
+/** Ligne "Lead" puis une ligne par pupitre (membres séparés par des virgules). */
+function vocalGroupRows(vocalGroups) {
+  const leads = Object.keys(vocalGroups);
+
+  return [
+    ['Lead', ...leads],
+    ...Object.keys(VOCAL_PARTS).map(part => [part, ...leads.map(l => (vocalGroups[l][part] || []).join(', '))]),
+  ];
+}
+
+/**
+ * En-tête en ligne 3 ("Tasks" + membres), une ligne par tâche, 'x' par membre.
+ * L'ordre des tâches respecte l'ordre de chaque liste de membre.
+ */
+function taskRows(tasks) {
+  const members = Object.keys(tasks);
+  const order   = [];
+
+  members.forEach(name => {
+    const list = tasks[name] || [];
+    list.forEach((task, i) => {
+      if (order.includes(task)) return;
+      // Insère avant la prochaine tâche de cette liste déjà placée
+      const next = list.slice(i + 1).find(t => order.includes(t));
+      if (next) order.splice(order.indexOf(next), 0, task);
+      else order.push(task);
+    });
+  });
+
+  return [
+    ['', 'Tâches'],
+    [],
+    ['', 'Tasks', ...members],
+    ...order.map(task => ['', task, ...members.map(n => (tasks[n].includes(task) ? 'x' : ''))]),
+  ];
+}
@@ -0,0 +1,52 @@
+/**
+ * CHECK-SHEET-TABS.MJS — Vérifie la lecture des onglets d'un classeur publié
+ *
+ * parseSheetTabs() et mapSheetTabs() (sheets-source.js) sur la copie locale
+ * data/fixtures/sheets-discovery.html, pour chacune des deux formes reconnues
+ * (script d'initialisation, boutons d'onglets). Sans dépendance :
+ *
+ *   node scripts/check-sheet-tabs.mjs
+ *
+ * À relancer après toute modification du fixture ou de parseSheetTabs().
+ */
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseSheetTabs, mapSheetTabs } from '../js/sheets-source.js';
+
+const FIXTURE = new URL('../data/fixtures/sheets-discovery.html', import.meta.url);
+
+const EXPECTED_TITLE = 'LWC - Repertoire + Range + Key + Progression';
+const EXPECTED_GIDS  = {
+  'Vocal Range':       '1804256103',
+  'Groupes vocal':     '914263115',
+  'Entrée':            '0',
+  'S-E':               '1520330412',
+  'Louange':           '1162781140',
+  'Adoration':         '386905224',
+  'Report sheet':      '1047339585',
+  'Taches':            '532874120',
+  'Progression Blank': '1958221706',
+};
+const EXPECTED_IGNORED = ['Old_Style_Entrée', 'Oldstyle_Louange'];
+
+const html = readFileSync(FIXTURE, 'utf8');
+const variants = {
+  'page complète':         html,
+  'script seul':           html.replace(/<ul id="sheet-menu">[\s\S]*?<\/ul>/, ''),
+  'boutons d\'onglets seuls': html.replace(/<script[\s\S]*?<\/script>/g, ''),
+};
+
+Object.entries(variants).forEach(([label, page]) => {
+  const { title, tabs } = parseSheetTabs(page);
+  const { gids, ignored } = mapSheetTabs(tabs);
+
+  assert.equal(title, EXPECTED_TITLE, `${label} : titre`);
+  assert.equal(tabs.length, Object.keys(EXPECTED_GIDS).length + EXPECTED_IGNORED.length, `${label} : nombre d'onglets`);
+  assert.deepEqual(gids, EXPECTED_GIDS, `${label} : GIDs`);
+  assert.deepEqual(ignored.map(t => t.name), EXPECTED_IGNORED, `${label} : onglets ignorés`);
+  console.log(`✓ ${label} : ${tabs.length} onglets`);
+});
+
+assert.deepEqual(parseSheetTabs('<html><title>Vide</title></html>').tabs, [], 'page sans onglet');
+console.log('✓ page sans onglet');
@@ -0,0 +1,48 @@
+/**
+ * CHECK-SONG-IDS.MJS — Vérifie la correspondance des identifiants entre deux imports
+ *
+ * buildSongIdMap() (song-ids.js) : identifiants positionnels, doublons d'une
+ * section, chansons fusionnées dans plusieurs sections. Sans dépendance :
+ *
+ *   node scripts/check-song-ids.mjs
+ *
+ * À relancer après toute modification de song-ids.js ou song-merge.js.
+ */
+
+import assert from 'node:assert/strict';
+import { buildSongIdMap } from '../js/song-ids.js';
+
+const song = (id, section, title, sections) => ({ id, section, title, ...(sections && { sections }) });
+
+const checks = {
+  'identifiants positionnels': [
+    [song('Entrée_0', 'Entrée', 'Tenda'), song('Entrée_1', 'Entrée', 'Tenda')],
+    [song('entree--tenda', 'Entrée', 'Tenda'), song('entree--tenda-2', 'Entrée', 'Tenda')],
+    { 'Entrée_0': 'entree--tenda', 'Entrée_1': 'entree--tenda-2' },
+  ],
+  'identifiant inchangé': [
+    [song('entree--tenda', 'Entrée', 'Tenda')],
+    [song('entree--tenda', 'Entrée', 'Tenda')],
+    {},
+  ],
+  'lignes fusionnées au nouvel import': [
+    [song('louange--thank-you', 'Louange', 'Thank you'), song('adoration--thank-you', 'Adoration', 'Thank You')],
+    [song('louange--thank-you', 'Louange', 'Thank you', ['Louange', 'Adoration'])],
+    { 'adoration--thank-you': 'louange--thank-you' },
+  ],
+  'ligne principale d\'une chanson fusionnée supprimée': [
+    [song('entree--thank-you', 'Entrée', 'Thank you', ['Entrée', 'Adoration'])],
+    [song('adoration--thank-you', 'Adoration', 'Thank you', ['Adoration'])],
+    { 'entree--thank-you': 'adoration--thank-you' },
+  ],
+  'chanson supprimée': [
+    [song('entree--tenda', 'Entrée', 'Tenda', ['Entrée'])],
+    [song('entree--autre', 'Entrée', 'Autre', ['Entrée'])],
+    {},
+  ],
+};
+
+Object.entries(checks).forEach(([label, [oldSongs, newSongs, expected]]) => {
+  assert.deepEqual(buildSongIdMap(oldSongs, newSongs), expected, label);
+  console.log(`✓ ${label}`);
+});
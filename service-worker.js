@@ -1,4 +1,4 @@
-const SW_VERSION = 'lwc-pwa-v2';
+const SW_VERSION = 'lwc-pwa-v35';
 const STATIC_CACHE = `${SW_VERSION}-static`;
 const RUNTIME_CACHE = `${SW_VERSION}-runtime`;
 
@@ -10,18 +10,48 @@ const STATIC_ASSETS = [
   './css/setup.css',
   './css/layout.css',
   './css/components.css',
+  './css/print.css',
   './js/main.js',
   './js/setup.js',
+  './js/sheets-source.js',
+  './js/sheets-loader.js',
   './js/parser.js',
+  './js/mapping.js',
+  './js/instruments.js',
   './js/state.js',
+  './js/storage.js',
+  './js/song-ids.js',
+  './js/song-merge.js',
+  './js/chords.js',
+  './js/keys.js',
+  './js/print.js',
+  './js/packet.js',
+  './js/share.js',
+  './js/roster.js',
+  './js/vocal-parts.js',
+  './js/prefs.js',
+  './js/setlists.js',
+  './js/suggest.js',
+  './js/transitions.js',
+  './js/history.js',
+  './js/calendar.js',
+  './js/ics.js',
+  './js/range-fit.js',
+  './js/backup.js',
+  './js/xlsx-export.js',
   './js/utils.js',
   './js/config.js',
   './js/modal.js',
+  './js/report.js',
   './js/pwa.js',
   './js/views/dashboard.js',
   './js/views/songs.js',
   './js/views/members.js',
   './js/views/service.js',
+  './js/views/setlists.js',
+  './js/views/calendar.js',
+  './js/views/shared.js',
+  './js/views/matrix.js',
   './icons/icon-192.png',
   './icons/icon-512.png',
   './icons/maskable-icon-512.png',